@@ -0,0 +1,356 @@
+/**
+ * Authentication Service for GAIG PDF Website
+ *
+ * Signs users in through a pluggable identity provider and keeps the
+ * authenticated principal in a signed session cookie:
+ * - Providers: "oidc" (any OpenID Connect identity provider) and "local"
+ *   (sign in as any user, for local development and testing only)
+ * - Sessions are stateless HMAC-SHA256 signed cookies
+ * - The principal ({ sub, name, email, groups, provider }) is set on req.user
+ * - Users in one of the admin groups can reach admin-only pages and APIs
+ * - Administrators and users in one of the upload groups can upload documents
+ */
+
+const crypto = require('crypto');
+const OidcAuthProvider = require('./oidc-provider');
+const LocalAuthProvider = require('./local-provider');
+
+const SESSION_COOKIE = 'gaig_session';
+const FLOW_COOKIE = 'gaig_auth_flow';
+const FLOW_TTL_MS = 10 * 60 * 1000;
+// Placeholder that earlier versions of .env.example shipped; it is public, so cookies signed with it can be forged
+const EXAMPLE_SESSION_SECRET = 'generate_with_openssl_rand_hex_32';
+
+/**
+ * Create the identity provider named by AUTH_PROVIDER
+ * @param {string} name - Provider name ("none", "local" or "oidc")
+ * @param {object} env - Environment variables
+ * @returns {object|null} Provider instance, or null when authentication is disabled
+ */
+function createAuthProvider(name, env = process.env) {
+  switch (name) {
+    case 'oidc':
+      return new OidcAuthProvider({
+        issuer: env.OIDC_ISSUER,
+        clientId: env.OIDC_CLIENT_ID,
+        clientSecret: env.OIDC_CLIENT_SECRET,
+        redirectUri: env.OIDC_REDIRECT_URI,
+        scopes: env.OIDC_SCOPES,
+        groupsClaim: env.OIDC_GROUPS_CLAIM
+      });
+    case 'local':
+      if (env.NODE_ENV === 'production') {
+        throw new Error('The local authentication provider cannot be used when NODE_ENV=production');
+      }
+      return new LocalAuthProvider();
+    case 'none':
+    case undefined:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER "${name}"`);
+  }
+}
+
+class AuthService {
+  /**
+   * @param {object|null} provider - Identity provider, or null to disable authentication
+   * @param {object} options - Session options
+   * @param {string} options.sessionSecret - Secret used to sign cookies
+   * @param {number} options.sessionTtlMs - Session lifetime in milliseconds
+   * @param {boolean} options.secureCookies - Always mark cookies Secure
+   * @param {string[]} options.adminGroups - Groups whose members are administrators
+   * @param {string[]} options.uploadGroups - Groups whose members may upload documents (administrators always may)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.enabled = Boolean(provider);
+    this.sessionTtlMs = options.sessionTtlMs || 8 * 60 * 60 * 1000;
+    this.secureCookies = options.secureCookies || false;
+    this.adminGroups = options.adminGroups || ['admin'];
+    this.uploadGroups = options.uploadGroups || [];
+
+    if (this.enabled && (!options.sessionSecret || options.sessionSecret.length < 32)) {
+      throw new Error('SESSION_SECRET must be set to at least 32 characters when authentication is enabled');
+    }
+    if (this.enabled && options.sessionSecret === EXAMPLE_SESSION_SECRET) {
+      throw new Error('SESSION_SECRET is still the example placeholder; generate one with `openssl rand -hex 32`');
+    }
+    this.sessionSecret = options.sessionSecret;
+  }
+
+  /**
+   * Sign a payload into a cookie value
+   * @param {object} payload - Data to sign (must include exp)
+   * @returns {string} base64url payload and signature joined by a dot
+   */
+  sign(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.sessionSecret).update(data).digest('base64url');
+    return `${data}.${signature}`;
+  }
+
+  /**
+   * Verify a signed cookie value
+   * @param {string} value - Cookie value produced by sign()
+   * @returns {object|null} Payload, or null when the signature is invalid or it has expired
+   */
+  verify(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const [data, signature] = value.split('.');
+    if (!data || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', this.sessionSecret).update(data).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+      if (!payload.exp || payload.exp < Date.now()) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse the Cookie header
+   * @param {object} req - Express request object
+   * @returns {object} Cookie values by name
+   */
+  parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+      const index = part.indexOf('=');
+      if (index === -1) return;
+      const name = part.substring(0, index).trim();
+      const value = part.substring(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    });
+    return cookies;
+  }
+
+  /**
+   * Set a signed cookie
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {string} name - Cookie name
+   * @param {object} payload - Data to sign
+   * @param {number} ttlMs - Cookie lifetime in milliseconds
+   */
+  setCookie(req, res, name, payload, ttlMs) {
+    res.cookie(name, this.sign({ ...payload, exp: Date.now() + ttlMs }), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: this.secureCookies || req.secure,
+      maxAge: ttlMs,
+      path: '/'
+    });
+  }
+
+  /**
+   * Get the authenticated principal of a request
+   * @param {object} req - Express request object
+   * @returns {object|null} Principal, or null when not signed in
+   */
+  getSession(req) {
+    const session = this.verify(this.parseCookies(req)[SESSION_COOKIE]);
+    if (!session) return null;
+
+    const { exp, ...principal } = session;
+    return principal;
+  }
+
+  /**
+   * Middleware that sets req.user from the session cookie
+   * @returns {function} Express middleware
+   */
+  authenticate() {
+    return (req, res, next) => {
+      req.user = this.enabled ? this.getSession(req) : null;
+      next();
+    };
+  }
+
+  /**
+   * Middleware that rejects requests without a session. API requests get a 401,
+   * page requests are redirected to sign in.
+   * @param {string[]} publicPaths - Path prefixes that do not require a session
+   * @returns {function} Express middleware
+   */
+  requireAuth(publicPaths = []) {
+    return (req, res, next) => {
+      if (!this.enabled || req.user || publicPaths.some(prefix => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      const loginUrl = `/auth/login?returnTo=${encodeURIComponent(req.originalUrl)}`;
+
+      if (req.path.startsWith('/api/')) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          login_url: '/auth/login'
+        });
+      }
+
+      res.redirect(loginUrl);
+    };
+  }
+
+  /**
+   * Check whether a principal is an administrator
+   * @param {object|null} user - Principal
+   * @returns {boolean} True when the user is in one of the admin groups
+   */
+  isAdmin(user) {
+    const groups = Array.isArray(user?.groups) ? user.groups : [];
+    return groups.some(group => this.adminGroups.includes(group));
+  }
+
+  /**
+   * Check whether a principal may upload documents
+   * @param {object|null} user - Principal
+   * @returns {boolean} True for administrators and members of the upload groups
+   */
+  canUpload(user) {
+    const groups = Array.isArray(user?.groups) ? user.groups : [];
+    return this.isAdmin(user) || groups.some(group => this.uploadGroups.includes(group));
+  }
+
+  /**
+   * Middleware that only lets principals passing a check through. Use after requireAuth().
+   * When authentication is disabled there is no way to tell users apart, so nobody is let through.
+   * @param {function} check - Called with the principal
+   * @param {string} role - What access is required, for the error message
+   * @returns {function} Express middleware
+   */
+  requireRole(check, role) {
+    return (req, res, next) => {
+      if (this.enabled && check(req.user)) {
+        return next();
+      }
+
+      const message = this.enabled
+        ? `${role} access is required`
+        : `${role} access requires authentication to be enabled (AUTH_PROVIDER)`;
+
+      if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: 'Forbidden', message });
+      }
+
+      res.status(403).send(`${message}.`);
+    };
+  }
+
+  /**
+   * Middleware that only lets administrators through. Use after requireAuth().
+   * @returns {function} Express middleware
+   */
+  requireAdmin() {
+    return this.requireRole(user => this.isAdmin(user), 'Administrator');
+  }
+
+  /**
+   * Middleware that only lets document uploaders through. Use after requireAuth().
+   * @returns {function} Express middleware
+   */
+  requireUploader() {
+    return this.requireRole(user => this.canUpload(user), 'Upload');
+  }
+
+  /**
+   * Only allow safe, same-site paths as post-login redirects
+   * @param {string} returnTo - Requested redirect path
+   * @returns {string} Safe redirect path
+   */
+  safeReturnTo(returnTo) {
+    if (typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/auth/')) {
+      return returnTo;
+    }
+    return '/';
+  }
+
+  /**
+   * Register the sign-in, callback, sign-out and current-user routes
+   * @param {object} app - Express application
+   * @param {function} urlencoded - Body parser for HTML form posts
+   */
+  registerRoutes(app, urlencoded) {
+    app.get('/auth/login', async (req, res) => {
+      if (!this.enabled) return res.redirect('/');
+
+      try {
+        const flow = {
+          state: crypto.randomBytes(16).toString('hex'),
+          nonce: crypto.randomBytes(16).toString('hex'),
+          codeVerifier: crypto.randomBytes(32).toString('base64url'),
+          returnTo: this.safeReturnTo(req.query.returnTo)
+        };
+
+        this.setCookie(req, res, FLOW_COOKIE, flow, FLOW_TTL_MS);
+        await this.provider.startLogin(req, res, flow);
+      } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).send('Sign in is currently unavailable. Please try again later.');
+      }
+    });
+
+    const handleCallback = async (req, res) => {
+      if (!this.enabled) return res.redirect('/');
+
+      try {
+        const flow = this.verify(this.parseCookies(req)[FLOW_COOKIE]);
+        const state = req.query.state || req.body?.state;
+
+        if (!flow || !state || state !== flow.state) {
+          return res.status(400).send('Sign in expired or was started in another browser. Please try again.');
+        }
+
+        const principal = await this.provider.completeLogin(req, flow);
+
+        res.clearCookie(FLOW_COOKIE, { path: '/' });
+        this.setCookie(req, res, SESSION_COOKIE, { ...principal, provider: this.provider.name }, this.sessionTtlMs);
+
+        console.log('🔐 User signed in:', principal.sub);
+        res.redirect(flow.returnTo || '/');
+      } catch (error) {
+        console.error('Login callback error:', error);
+        res.status(401).send('Sign in failed. Please try again.');
+      }
+    };
+
+    app.get('/auth/callback', handleCallback);
+    app.post('/auth/callback', urlencoded, handleCallback);
+
+    app.post('/auth/logout', async (req, res) => {
+      const principal = this.enabled ? this.getSession(req) : null;
+      res.clearCookie(SESSION_COOKIE, { path: '/' });
+
+      const logoutUrl = principal && this.provider.getLogoutUrl
+        ? await this.provider.getLogoutUrl(principal)
+        : null;
+
+      res.json({ success: true, redirect: logoutUrl || '/auth/login' });
+    });
+
+    app.get('/api/me', (req, res) => {
+      res.json({
+        authenticated: Boolean(req.user),
+        auth_enabled: this.enabled,
+        admin: this.enabled && this.isAdmin(req.user),
+        can_upload: this.enabled && this.canUpload(req.user),
+        user: req.user || null
+      });
+    });
+  }
+}
+
+module.exports = AuthService;
+module.exports.createAuthProvider = createAuthProvider;
@@ -0,0 +1,90 @@
+/**
+ * Local Authentication Provider
+ *
+ * Lets anyone sign in as any user and groups through a simple form, so
+ * authentication, telemetry attribution and group-based access can be
+ * exercised without an identity provider. Never enable this in production.
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class LocalAuthProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * Render the sign-in form
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {object} flow - State for this sign in
+   */
+  async startLogin(req, res, flow) {
+    res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in - GAIG Knowledge Search</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8fafc; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    form { background: white; padding: 2rem; border-radius: 12px; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); width: 320px; }
+    h1 { font-size: 1.25rem; margin: 0 0 0.5rem; color: #1e293b; }
+    p { font-size: 0.85rem; color: #64748b; margin: 0 0 1.5rem; }
+    label { display: block; font-size: 0.85rem; font-weight: 600; color: #334155; margin-bottom: 0.25rem; }
+    input { width: 100%; box-sizing: border-box; padding: 0.5rem; border: 1px solid #cbd5e1; border-radius: 6px; margin-bottom: 1rem; }
+    button { width: 100%; padding: 0.6rem; background: #2563eb; color: white; border: none; border-radius: 6px; font-weight: 600; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/auth/callback">
+    <h1>Sign in</h1>
+    <p>Local development sign in. No password is checked.</p>
+    <input type="hidden" name="state" value="${escapeHtml(flow.state)}">
+    <label for="username">Username</label>
+    <input id="username" name="username" required autofocus>
+    <label for="email">Email</label>
+    <input id="email" name="email" type="email">
+    <label for="groups">Groups (comma separated)</label>
+    <input id="groups" name="groups" placeholder="underwriting, claims">
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+  }
+
+  /**
+   * Build the principal from the submitted form
+   * @param {object} req - Express request object
+   * @returns {Promise<object>} Principal
+   */
+  async completeLogin(req) {
+    const username = (req.body?.username || '').trim();
+    if (!username) {
+      throw new Error('Username is required');
+    }
+
+    return {
+      sub: `local:${username}`,
+      name: username,
+      email: (req.body.email || '').trim() || null,
+      groups: (req.body.groups || '')
+        .split(',')
+        .map(group => group.trim())
+        .filter(Boolean)
+    };
+  }
+}
+
+module.exports = LocalAuthProvider;
@@ -0,0 +1,225 @@
+/**
+ * OpenID Connect Authentication Provider
+ *
+ * Authorization code flow with PKCE against any OpenID Connect identity
+ * provider (Okta, Entra ID, Google, Keycloak, ...). The provider metadata is
+ * discovered from the issuer and ID tokens are verified against its JWKS.
+ */
+
+const crypto = require('crypto');
+
+// JWS algorithms accepted for ID tokens, mapped to Node.js verify options
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+const CLOCK_SKEW_SECONDS = 60;
+
+class OidcAuthProvider {
+  /**
+   * @param {object} options - Client registration
+   * @param {string} options.issuer - Issuer URL
+   * @param {string} options.clientId - Client ID
+   * @param {string} options.clientSecret - Client secret
+   * @param {string} options.redirectUri - Callback URL registered with the provider (ends in /auth/callback)
+   * @param {string} options.scopes - Space separated scopes
+   * @param {string} options.groupsClaim - ID token claim holding the user's groups
+   */
+  constructor(options = {}) {
+    const missing = ['issuer', 'clientId', 'redirectUri'].filter(key => !options[key]);
+    if (missing.length > 0) {
+      throw new Error(`OIDC provider is missing configuration: ${missing.join(', ')}`);
+    }
+
+    this.name = 'oidc';
+    this.issuer = options.issuer.replace(/\/$/, '');
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.redirectUri = options.redirectUri;
+    this.scopes = options.scopes || 'openid profile email';
+    this.groupsClaim = options.groupsClaim || 'groups';
+
+    this.metadata = null;
+    this.jwks = null;
+  }
+
+  /**
+   * Fetch and cache the provider metadata
+   * @returns {Promise<object>} OpenID provider configuration
+   */
+  async getMetadata() {
+    if (!this.metadata) {
+      const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw new Error(`OIDC discovery failed: ${response.status} ${response.statusText}`);
+      }
+      this.metadata = await response.json();
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Fetch the provider signing keys
+   * @param {boolean} refresh - Ignore the cached keys
+   * @returns {Promise<object[]>} JSON Web Keys
+   */
+  async getSigningKeys(refresh = false) {
+    if (!this.jwks || refresh) {
+      const metadata = await this.getMetadata();
+      const response = await fetch(metadata.jwks_uri);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch OIDC signing keys: ${response.status} ${response.statusText}`);
+      }
+      this.jwks = (await response.json()).keys || [];
+    }
+    return this.jwks;
+  }
+
+  /**
+   * Redirect the browser to the provider's authorization endpoint
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   * @param {object} flow - State, nonce and PKCE verifier for this sign in
+   */
+  async startLogin(req, res, flow) {
+    const metadata = await this.getMetadata();
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('scope', this.scopes);
+    url.searchParams.set('state', flow.state);
+    url.searchParams.set('nonce', flow.nonce);
+    url.searchParams.set('code_challenge', crypto.createHash('sha256').update(flow.codeVerifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    res.redirect(url.toString());
+  }
+
+  /**
+   * Exchange the authorization code and verify the ID token
+   * @param {object} req - Express request object
+   * @param {object} flow - State, nonce and PKCE verifier for this sign in
+   * @returns {Promise<object>} Principal
+   */
+  async completeLogin(req, flow) {
+    if (req.query.error) {
+      throw new Error(`Identity provider returned ${req.query.error}: ${req.query.error_description || ''}`);
+    }
+    if (!req.query.code) {
+      throw new Error('Missing authorization code');
+    }
+
+    const metadata = await this.getMetadata();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: req.query.code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: flow.codeVerifier
+    });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    const response = await fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token exchange failed: ${response.status} ${errorText}`);
+    }
+
+    const tokens = await response.json();
+    const claims = await this.verifyIdToken(tokens.id_token, flow.nonce);
+
+    const groups = claims[this.groupsClaim];
+    return {
+      sub: claims.sub,
+      name: claims.name || claims.preferred_username || claims.email || claims.sub,
+      email: claims.email || null,
+      groups: Array.isArray(groups) ? groups.map(String) : (groups ? [String(groups)] : [])
+    };
+  }
+
+  /**
+   * Verify an ID token's signature and claims
+   * @param {string} idToken - Compact serialized JWT
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<object>} Verified claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const parts = (idToken || '').split('.');
+    if (parts.length !== 3) {
+      throw new Error('Token response did not include a valid ID token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    const algorithm = SIGNING_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+
+    const findKey = keys => keys.find(key => key.kid === header.kid) || (!header.kid && keys.length === 1 ? keys[0] : null);
+    // Keys rotate, so look the key up again before giving up
+    const jwk = findKey(await this.getSigningKeys()) || findKey(await this.getSigningKeys(true));
+    if (!jwk) {
+      throw new Error(`No signing key found for ID token key ID ${header.kid}`);
+    }
+
+    const { hash, ...verifyOptions } = algorithm;
+    const valid = crypto.verify(
+      hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), ...verifyOptions },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!valid) {
+      throw new Error('ID token signature is invalid');
+    }
+
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss.replace(/\/$/, '') !== this.issuer) {
+      throw new Error(`Unexpected ID token issuer: ${claims.iss}`);
+    }
+    if (!audiences.includes(this.clientId)) {
+      throw new Error('ID token was not issued for this client');
+    }
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new Error('ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Provider sign-out URL, when the provider supports RP-initiated logout
+   * @returns {Promise<string|null>} URL to send the browser to
+   */
+  async getLogoutUrl() {
+    const metadata = await this.getMetadata();
+    if (!metadata.end_session_endpoint) return null;
+
+    const url = new URL(metadata.end_session_endpoint);
+    url.searchParams.set('client_id', this.clientId);
+    return url.toString();
+  }
+}
+
+module.exports = OidcAuthProvider;
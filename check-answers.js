@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Answer Groundedness Check
+ *
+ * Re-runs the groundedness checker over recorded answers, without Elasticsearch or
+ * the LLM. Record answers by starting the server with ANSWER_RECORD_FILE set (use
+ * LLM_PROVIDER=fake to record canned answers), then check them:
+ *
+ *   node check-answers.js ./answers.ndjson
+ *
+ * Each record needs the answer and the search results it was generated from:
+ *   { "question": "...", "answer": "...", "results": [{ "id": "...", "source": { "title": "..." }, "highlight": { "content": ["..."] } }] }
+ * Add "expected_verdict" to a record to turn it into a regression case; the script
+ * exits with status 1 when any verdict differs from the expected one.
+ */
+
+const fs = require('fs');
+const { extractCitations } = require('./citations');
+const { SUPPORT_THRESHOLD, checkGroundedness } = require('./groundedness');
+
+const VERDICT_ICONS = {
+  grounded: '✅',
+  partially_grounded: '⚠️ ',
+  ungrounded: '❌',
+  no_answer: '➖'
+};
+
+/**
+ * Read recorded answers from an NDJSON file or a JSON array
+ * @param {string} filePath - Path to the recorded answers
+ * @returns {object[]} Records
+ */
+function readRecords(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+  if (content.startsWith('[')) {
+    return JSON.parse(content);
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Check one recorded answer, re-extracting its citations with the current resolver
+ * @param {object} record - Recorded answer
+ * @param {number} supportThreshold - Share of content words a sentence needs in its evidence
+ * @returns {object} Groundedness report
+ */
+function checkRecord(record, supportThreshold) {
+  const results = record.results || [];
+  const citations = extractCitations(record.answer || '', results);
+  return checkGroundedness(record.answer || '', results, citations, { supportThreshold });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🔎 Offline Answer Groundedness Check
+
+Usage: node check-answers.js <answers-file> [options]
+
+Arguments:
+  answers-file          Recorded answers, as NDJSON (ANSWER_RECORD_FILE) or a JSON array
+
+Options:
+  --threshold <n>       Share of a sentence's content words that must appear in its evidence (default: ${SUPPORT_THRESHOLD})
+  --verbose             Print the unsupported sentences and unknown citations of each answer
+  --json <file>         Also write the reports to a JSON file
+  --help, -h            Show this help message
+
+Examples:
+  node check-answers.js ./answers.ndjson
+  node check-answers.js ./fixtures/answers.json --threshold 0.6 --verbose
+    `);
+    process.exit(0);
+  }
+
+  const filePath = args[0];
+  const supportThreshold = parseFloat(option('--threshold', String(SUPPORT_THRESHOLD)));
+  const jsonPath = option('--json', null);
+  const verbose = args.includes('--verbose');
+
+  if (isNaN(supportThreshold) || supportThreshold < 0 || supportThreshold > 1) {
+    console.error('❌ --threshold must be a number between 0 and 1');
+    process.exit(1);
+  }
+
+  let records;
+  try {
+    records = readRecords(filePath);
+  } catch (error) {
+    console.error(`❌ Could not read ${filePath}:`, error.message);
+    process.exit(1);
+  }
+
+  console.log(`\n🔎 Checking ${records.length} recorded answers (threshold ${supportThreshold})\n`);
+
+  const counts = {};
+  const mismatches = [];
+  const reports = records.map((record, index) => {
+    const report = checkRecord(record, supportThreshold);
+    const label = record.question || record.query || `Answer ${index + 1}`;
+    const support = report.support_ratio === null ? '  -  ' : `${Math.round(report.support_ratio * 100)}%`.padStart(5);
+
+    counts[report.verdict] = (counts[report.verdict] || 0) + 1;
+    console.log(`${VERDICT_ICONS[report.verdict]} ${report.verdict.padEnd(18)} ${support}  ${label}`);
+
+    if (verbose) {
+      report.unknown_citations.forEach(citation => {
+        console.log(`     unknown citation: (Source: ${citation.text})`);
+      });
+      report.unsupported_sentences.forEach(sentence => {
+        const numbers = sentence.missing_numbers.length > 0 ? `, numbers not in context: ${sentence.missing_numbers.join(', ')}` : '';
+        console.log(`     unsupported (${Math.round(sentence.support * 100)}%${numbers}): ${sentence.text}`);
+      });
+    }
+
+    if (record.expected_verdict && record.expected_verdict !== report.verdict) {
+      mismatches.push({ label, expected: record.expected_verdict, actual: report.verdict });
+    }
+
+    return { question: label, expected_verdict: record.expected_verdict, ...report };
+  });
+
+  console.log('\n📊 Summary');
+  Object.keys(VERDICT_ICONS).forEach(verdict => {
+    console.log(`   ${verdict.padEnd(18)} ${counts[verdict] || 0}`);
+  });
+
+  if (jsonPath) {
+    fs.writeFileSync(jsonPath, JSON.stringify({ threshold: supportThreshold, reports }, null, 2));
+    console.log(`\n💾 Reports written to ${jsonPath}`);
+  }
+
+  if (mismatches.length > 0) {
+    console.log(`\n❌ ${mismatches.length} answers did not get their expected verdict:`);
+    mismatches.forEach(mismatch => {
+      console.log(`   ${mismatch.label}: expected ${mismatch.expected}, got ${mismatch.actual}`);
+    });
+    console.log();
+    process.exit(1);
+  }
+
+  console.log();
+}
+
+// Run the script
+main();
@@ -0,0 +1,198 @@
+/**
+ * Citation Resolver for GAIG PDF Website
+ *
+ * Maps the "(Source: Document Title, Section Name)" citations written by the
+ * LLM back to the search results that were used as answer context, so the
+ * frontend can link each citation to the exact document excerpt. Citations carry
+ * the cited excerpt, its page and the document details the viewer needs, because
+ * the answer's context can differ from the results list on the page.
+ */
+
+const CITATION_PATTERN = /\(Source:\s*([^)]+)\)/g;
+
+/**
+ * Normalize text for loose comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercased text with punctuation collapsed to single spaces
+ */
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into a set of normalized words
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Unique words longer than two characters
+ */
+function tokenize(text) {
+  return new Set(normalize(text).split(' ').filter(word => word.length > 2));
+}
+
+/**
+ * Fraction of `words` that also appear in `targetWords`
+ * @param {Set<string>} words - Words to look for
+ * @param {Set<string>} targetWords - Words to look in
+ * @returns {number} Overlap between 0 and 1
+ */
+function overlap(words, targetWords) {
+  if (words.size === 0) return 0;
+  let matched = 0;
+  words.forEach(word => {
+    if (targetWords.has(word)) matched++;
+  });
+  return matched / words.size;
+}
+
+/**
+ * Get the display title of a search result
+ * @param {object} result - Search result ({ id, source, highlight })
+ * @returns {string} Document title
+ */
+function getTitle(result) {
+  return result.source?.attachment?.title || result.source?.title || result.source?.attachment?.filename || result.source?.filename || 'Unknown Document';
+}
+
+/**
+ * Get the highlight fragments of a search result
+ * @param {object} result - Search result ({ id, source, highlight })
+ * @returns {string[]} Highlight fragments
+ */
+function getHighlights(result) {
+  return result.highlight?.semantic_content || result.highlight?.content || [];
+}
+
+/**
+ * Find the search result a citation refers to
+ * @param {string} citationText - Text inside "(Source: ...)"
+ * @param {object[]} results - Search results used as context
+ * @returns {object|null} Matched result and the remaining section text
+ */
+function matchResult(citationText, results) {
+  const normalizedCitation = normalize(citationText);
+  let best = null;
+
+  // Prefer the longest title the citation starts with, since titles can contain commas
+  results.forEach(result => {
+    const normalizedTitle = normalize(getTitle(result));
+    if (normalizedTitle && normalizedCitation.startsWith(normalizedTitle)) {
+      if (!best || normalizedTitle.length > best.titleLength) {
+        best = { result, titleLength: normalizedTitle.length };
+      }
+    }
+  });
+
+  if (best) {
+    const title = getTitle(best.result);
+    const section = citationText.toLowerCase().startsWith(title.toLowerCase())
+      ? citationText.substring(title.length).replace(/^[\s,:-]+/, '')
+      : citationText.split(',').slice(1).join(',').trim();
+    return { result: best.result, section };
+  }
+
+  // Fall back to the title sharing the most words with the citation
+  const citationWords = tokenize(citationText);
+  results.forEach(result => {
+    const score = overlap(tokenize(getTitle(result)), citationWords);
+    if (score >= 0.6 && (!best || score > best.score)) {
+      best = { result, score };
+    }
+  });
+
+  if (best) {
+    const section = citationText.split(',').slice(1).join(',').trim();
+    return { result: best.result, section };
+  }
+
+  return null;
+}
+
+/**
+ * Pick the highlight fragment that best supports the cited text
+ * @param {string[]} highlights - Highlight fragments of the cited document
+ * @param {string} claim - Answer text preceding the citation
+ * @param {string} section - Section name from the citation
+ * @returns {number} Index of the best fragment
+ */
+function matchFragment(highlights, claim, section) {
+  const claimWords = tokenize(`${claim} ${section}`);
+  let bestIndex = 0;
+  let bestScore = -1;
+
+  highlights.forEach((fragment, index) => {
+    const score = overlap(claimWords, tokenize(fragment));
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = index;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * Extract structured citations from an answer
+ * @param {string} answer - Generated answer text (may be partial while streaming)
+ * @param {object[]} results - Search results used as context
+ * @returns {object[]} Citations in order of appearance
+ */
+function extractCitations(answer, results) {
+  const citations = [];
+  let previousEnd = 0;
+  let match;
+
+  CITATION_PATTERN.lastIndex = 0;
+  while ((match = CITATION_PATTERN.exec(answer)) !== null) {
+    const text = match[1].trim();
+    const paragraphStart = answer.lastIndexOf('\n\n', match.index);
+    const claim = answer.substring(Math.max(previousEnd, paragraphStart), match.index);
+    previousEnd = match.index + match[0].length;
+
+    const matched = matchResult(text, results);
+    const citation = {
+      index: citations.length,
+      text,
+      document_id: null,
+      title: null,
+      filename: null,
+      author: null,
+      has_original: false,
+      position: null,
+      score: null,
+      fragment_index: null,
+      excerpt: null,
+      page: null
+    };
+
+    if (matched) {
+      const { result, section } = matched;
+      const highlights = getHighlights(result);
+      citation.document_id = result.id;
+      citation.title = getTitle(result);
+      citation.filename = result.source?.filename || result.source?.attachment?.filename || null;
+      citation.author = result.source?.attachment?.author || null;
+      citation.has_original = Boolean(result.source?.has_original);
+      citation.position = results.indexOf(result);
+      citation.score = result.score ?? null;
+      citation.fragment_index = matchFragment(highlights, claim, section);
+      citation.excerpt = highlights[citation.fragment_index] || null;
+      citation.page = result.highlight_pages?.[citation.fragment_index] || null;
+    }
+
+    citations.push(citation);
+  }
+
+  return citations;
+}
+
+module.exports = {
+  CITATION_PATTERN,
+  extractCitations,
+  getTitle,
+  getHighlights,
+  tokenize,
+  overlap
+};
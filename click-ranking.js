@@ -0,0 +1,150 @@
+/**
+ * Click-Based Ranking for GAIG PDF Website
+ *
+ * Boosts search results that users have historically clicked for the same or
+ * similar queries. Engagement is read from the click model index built from
+ * gaig-usage by elasticsearch/build-click-model.js, which corrects clicks for
+ * position bias, so a document is not boosted just for having been ranked first.
+ */
+
+// Share of words two queries must have in common for one's clicks to count for the other
+const MIN_QUERY_SIMILARITY = 0.5;
+
+// Click model entries considered per search
+const MAX_CLICK_ENTRIES = 200;
+
+/**
+ * Normalize a query so that trivial variants share their click data
+ * @param {string} query - Search query
+ * @returns {string} Lowercased query with punctuation and extra whitespace removed
+ */
+function normalizeQuery(query) {
+  return (query || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.\s-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Word overlap between two normalized queries
+ * @param {string} a - First query
+ * @param {string} b - Second query
+ * @returns {number} Jaccard similarity between 0 and 1
+ */
+function querySimilarity(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+class ClickRanker {
+  /**
+   * @param {object} elasticsearchClient - Elasticsearch client
+   * @param {string} indexName - Click model index
+   * @param {object} options - { weight }: how strongly engagement reorders results
+   */
+  constructor(elasticsearchClient, indexName = 'gaig-click-model', options = {}) {
+    this.client = elasticsearchClient;
+    this.indexName = indexName;
+    this.weight = options.weight ?? 1;
+    this.available = true;
+  }
+
+  /**
+   * Check if the click model index exists
+   * @returns {boolean} True if index exists
+   */
+  async indexExists() {
+    try {
+      this.available = await this.client.indices.exists({ index: this.indexName });
+      return this.available;
+    } catch (error) {
+      console.error('Error checking click model index existence:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Historical engagement of each result for queries similar to this one
+   * @param {string} query - Search query
+   * @param {string[]} documentIds - IDs of the results to score
+   * @returns {Promise<Map<string, number>>} Engagement between 0 and 1 by document ID
+   */
+  async getEngagement(query, documentIds) {
+    const normalized = normalizeQuery(query);
+    const engagement = new Map();
+
+    const response = await this.client.search({
+      index: this.indexName,
+      body: {
+        size: MAX_CLICK_ENTRIES,
+        _source: ['query_normalized', 'document_id', 'ctr'],
+        query: {
+          bool: {
+            must: [{ match: { query: { query: normalized, minimum_should_match: '50%' } } }],
+            filter: [{ terms: { document_id: documentIds } }]
+          }
+        }
+      }
+    });
+
+    response.hits.hits.forEach(hit => {
+      const { query_normalized: clickedQuery, document_id: documentId, ctr } = hit._source;
+      const similarity = querySimilarity(normalized, clickedQuery);
+      if (similarity < MIN_QUERY_SIMILARITY) return;
+
+      // The most similar query with engagement decides the document's boost
+      const score = similarity * ctr;
+      if (score > (engagement.get(documentId) || 0)) {
+        engagement.set(documentId, score);
+      }
+    });
+
+    return engagement;
+  }
+
+  /**
+   * Reorder a page of results by relevance score and historical engagement
+   * @param {string} query - Search query
+   * @param {object[]} results - Formatted search results ({ id, score, ... })
+   * @returns {Promise<object[]>} Results with a click_boost, reordered; the original results if the click model is unavailable
+   */
+  async rerank(query, results) {
+    if (!this.available || results.length === 0) return results;
+
+    let engagement;
+    try {
+      engagement = await this.getEngagement(query, results.map(result => result.id));
+    } catch (error) {
+      if (error.meta?.body?.error?.type === 'index_not_found_exception') {
+        this.available = false;
+        console.error(`❌ Click model index "${this.indexName}" not found; click boosting is off until the server restarts`);
+        console.error(`   Build it with: node elasticsearch/build-click-model.js`);
+      } else {
+        console.error('Click boost error:', error.message);
+      }
+      return results;
+    }
+
+    // Multiplying keeps the boost independent of each retriever's score scale
+    return results
+      .map((result, index) => {
+        const clickBoost = engagement.get(result.id) || 0;
+        const baseScore = result.score ?? 1 / (index + 1);
+        return { result: { ...result, click_boost: clickBoost }, index, rankScore: baseScore * (1 + this.weight * clickBoost) };
+      })
+      .sort((a, b) => b.rankScore - a.rankScore || a.index - b.index)
+      .map(item => item.result);
+  }
+}
+
+ClickRanker.normalizeQuery = normalizeQuery;
+
+module.exports = ClickRanker;
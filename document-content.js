@@ -0,0 +1,109 @@
+/**
+ * Document Content Paging and Find for GAIG PDF Website
+ *
+ * Serves a document's extracted text a page at a time, so the document modal loads
+ * large documents on demand, and finds the query terms and the semantic chunks in the
+ * whole text, so the modal can highlight them and jump to pages not loaded yet.
+ */
+
+const DEFAULT_PAGE_CHARS = 20000;
+const MAX_PAGE_CHARS = 100000;
+// Keeps the response small for common words in long documents
+const MAX_TERM_MATCHES = 1000;
+
+// Question words and other words that would match almost every line
+const FIND_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'is', 'are',
+  'was', 'were', 'be', 'it', 'its', 'as', 'with', 'from', 'that', 'this', 'what', 'which',
+  'who', 'how', 'when', 'where', 'why', 'do', 'does', 'did', 'can', 'there', 'any', 'our', 'we'
+]);
+
+/**
+ * Cut one page out of a document's text, ending at a word boundary where possible
+ * @param {string} content - Full text
+ * @param {number} offset - Character offset the page starts at
+ * @param {number} length - Most characters in the page
+ * @returns {object} { text, offset, next_offset } with next_offset null on the last page
+ */
+function pageContent(content, offset = 0, length = DEFAULT_PAGE_CHARS) {
+  const start = Math.min(Math.max(parseInt(offset) || 0, 0), content.length);
+  const size = Math.min(Math.max(parseInt(length) || DEFAULT_PAGE_CHARS, 1), MAX_PAGE_CHARS);
+  let end = Math.min(start + size, content.length);
+
+  if (end < content.length) {
+    // Back up to the last whitespace, unless that would drop more than half the page
+    const lastSpace = content.slice(start, end).search(/\s\S*$/);
+    if (lastSpace > size / 2) end = start + lastSpace + 1;
+  }
+
+  return {
+    text: content.slice(start, end),
+    offset: start,
+    next_offset: end < content.length ? end : null
+  };
+}
+
+/**
+ * Words of a query worth finding in a document
+ * @param {string} query - Query text
+ * @returns {string[]} Lowercased unique words without stop words
+ */
+function findTerms(query) {
+  const words = (query || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [...new Set(words)].filter(word => !FIND_STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)));
+}
+
+/**
+ * Find every occurrence of the query terms. A term matches the start of a word, so
+ * "hurricane" also finds "hurricanes".
+ * @param {string} content - Full text
+ * @param {string} query - Query text
+ * @returns {object} { terms, total, matches: [{ offset, length }] } with at most MAX_TERM_MATCHES matches
+ */
+function findTermMatches(content, query) {
+  const terms = findTerms(query);
+  const matches = [];
+  let total = 0;
+
+  if (terms.length > 0) {
+    // Longest first, so "claims" wins over "claim" at the same position
+    const alternatives = [...terms].sort((a, b) => b.length - a.length).join('|');
+    const pattern = new RegExp(`(?<![a-z0-9])(?:${alternatives})[a-z0-9]*`, 'gi');
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      total++;
+      if (matches.length < MAX_TERM_MATCHES) {
+        matches.push({ offset: match.index, length: match[0].length });
+      }
+    }
+  }
+
+  return { terms, total, matches };
+}
+
+/**
+ * Locate semantic chunks in the text. Chunks may be whitespace-normalized copies of
+ * the text (PDFs chunked by page), so any run of whitespace matches any other.
+ * @param {string} content - Full text
+ * @param {string[]} chunks - Chunk texts
+ * @returns {object[]} { offset, length } per chunk, or null for a chunk not found
+ */
+function locateChunks(content, chunks) {
+  return chunks.map(chunk => {
+    const words = String(chunk).trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return null;
+
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = new RegExp(escaped.join('\\s+')).exec(content);
+    return match ? { offset: match.index, length: match[0].length } : null;
+  });
+}
+
+module.exports = {
+  DEFAULT_PAGE_CHARS,
+  MAX_PAGE_CHARS,
+  pageContent,
+  findTerms,
+  findTermMatches,
+  locateChunks
+};
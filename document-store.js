@@ -0,0 +1,84 @@
+/**
+ * Original Document Store for GAIG PDF Website
+ *
+ * Keeps the original PDF and DOCX files next to the index, so the document viewer can
+ * show tables, signatures and layout that the extracted text loses. Files are stored
+ * by document ID in DOCUMENT_STORE_DIR, which may be a local folder or a mounted share
+ * or bucket. Access control stays with the index: the file route only serves the
+ * originals of documents the user can find.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Document IDs are hex hashes; anything else never names a stored file
+const DOCUMENT_ID_PATTERN = /^[a-f0-9]{40}$/;
+
+class LocalDocumentStore {
+  /**
+   * @param {string} directory - Folder the originals are kept in, created on first save
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Path of a document's original, or null for an invalid ID
+   * @param {string} id - Document ID
+   * @returns {string|null} File path
+   */
+  filePath(id) {
+    if (!DOCUMENT_ID_PATTERN.test(String(id))) return null;
+    // Two-character subfolders keep any one folder small
+    return path.join(this.directory, id.slice(0, 2), id);
+  }
+
+  /**
+   * Store a document's original, replacing an earlier version
+   * @param {string} id - Document ID
+   * @param {Buffer} data - File contents
+   */
+  async save(id, data) {
+    const filePath = this.filePath(id);
+    if (!filePath) {
+      throw new Error(`Invalid document ID "${id}"`);
+    }
+
+    // Written through a temporary file, so a reader never sees half a file
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Open a document's original for reading
+   * @param {string} id - Document ID
+   * @returns {Promise<object|null>} { stream, size }, or null when no original is stored
+   */
+  async open(id) {
+    const filePath = this.filePath(id);
+    if (!filePath) return null;
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a document's original; a missing original is not an error
+   * @param {string} id - Document ID
+   */
+  async delete(id) {
+    const filePath = this.filePath(id);
+    if (!filePath) return;
+
+    await fs.promises.rm(filePath, { force: true });
+  }
+}
+
+module.exports = LocalDocumentStore;
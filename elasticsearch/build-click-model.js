@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Click Model Builder
+ *
+ * Aggregates the search and click events in the usage index into click-through rates
+ * per query and document, and writes them to the click model index read by the
+ * click boost stage of /api/search. Run it on a schedule (e.g. nightly).
+ *
+ * Users click the top results more often whatever their relevance, so each click is
+ * weighted by the inverse of the chance that its position was looked at at all,
+ * modelled as (1 / rank) ^ eta. A click on rank 5 then counts for more than a click
+ * on rank 1. Rates are smoothed with PRIOR_SEARCHES so rare queries get little boost.
+ *
+ * Usage: node elasticsearch/build-click-model.js [options]
+ * Example: node elasticsearch/build-click-model.js --days 30 --min-searches 3
+ */
+
+require('dotenv').config();
+const { Client } = require('@elastic/elasticsearch');
+const crypto = require('crypto');
+const { normalizeQuery } = require('../click-ranking');
+const { RESULT_CLICKS } = require('../telemetry');
+
+// Searches without clicks assumed for every query, pulling the rates of rare queries toward 0
+const PRIOR_SEARCHES = 5;
+
+// Clicks below this rank are weighted as if they were on it, to bound their weight
+const MAX_WEIGHTED_RANK = 20;
+
+// Buckets fetched per composite aggregation page
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every bucket of a composite aggregation
+ * @param {object} client - Elasticsearch client
+ * @param {string} index - Index to aggregate
+ * @param {object} query - Events to aggregate
+ * @param {object[]} sources - Composite aggregation sources
+ * @param {object} subAggs - Aggregations per bucket
+ * @returns {Promise<object[]>} All buckets
+ */
+async function readCompositeBuckets(client, index, query, sources, subAggs = undefined) {
+  const buckets = [];
+  let after;
+
+  do {
+    const response = await client.search({
+      index,
+      body: {
+        size: 0,
+        query,
+        aggs: {
+          groups: {
+            composite: { size: PAGE_SIZE, sources, after },
+            aggs: subAggs
+          }
+        }
+      }
+    });
+
+    const groups = response.aggregations.groups;
+    buckets.push(...groups.buckets);
+    after = groups.buckets.length === PAGE_SIZE ? groups.after_key : undefined;
+  } while (after);
+
+  return buckets;
+}
+
+/**
+ * Chance that a result at this rank was examined, for position-bias correction
+ * @param {number} rank - 1-based rank the result was shown at
+ * @param {number} eta - Strength of the position bias (0 disables the correction)
+ * @returns {number} Examination propensity between 0 and 1
+ */
+function examinationPropensity(rank, eta) {
+  return Math.pow(1 / Math.min(Math.max(rank, 1), MAX_WEIGHTED_RANK), eta);
+}
+
+/**
+ * Build click model entries from search counts and clicks
+ * @param {object[]} searchBuckets - { key: { query }, doc_count } per query text
+ * @param {object[]} clickBuckets - { key: { query, document_id, position }, doc_count, title } per click group
+ * @param {object} options - { eta, minSearches }
+ * @returns {object[]} One entry per normalized query and document
+ */
+function buildEntries(searchBuckets, clickBuckets, options) {
+  const { eta, minSearches } = options;
+  const searches = new Map();
+  const entries = new Map();
+
+  searchBuckets.forEach(bucket => {
+    const query = normalizeQuery(bucket.key.query);
+    if (query) searches.set(query, (searches.get(query) || 0) + bucket.doc_count);
+  });
+
+  clickBuckets.forEach(bucket => {
+    const query = normalizeQuery(bucket.key.query);
+    if (!query) return;
+
+    const key = `${query}\u0000${bucket.key.document_id}`;
+    const entry = entries.get(key) || {
+      query,
+      query_normalized: query,
+      document_id: bucket.key.document_id,
+      document_title: bucket.title?.buckets?.[0]?.key,
+      clicks: 0,
+      weighted_clicks: 0,
+      position_total: 0
+    };
+
+    // Telemetry positions are 0-based
+    const rank = bucket.key.position + 1;
+    entry.clicks += bucket.doc_count;
+    entry.weighted_clicks += bucket.doc_count / examinationPropensity(rank, eta);
+    entry.position_total += rank * bucket.doc_count;
+    entries.set(key, entry);
+  });
+
+  return [...entries.values()]
+    .map(entry => {
+      // Clicks can outnumber tracked searches, e.g. clicks on later pages or from before query tracking
+      const searchCount = Math.max(searches.get(entry.query) || 0, entry.clicks);
+      const { position_total: positionTotal, ...fields } = entry;
+      return {
+        ...fields,
+        searches: searchCount,
+        weighted_clicks: Math.round(entry.weighted_clicks * 1000) / 1000,
+        mean_position: Math.round((positionTotal / entry.clicks) * 100) / 100,
+        ctr: Math.round(Math.min(1, entry.weighted_clicks / (searchCount + PRIOR_SEARCHES)) * 10000) / 10000
+      };
+    })
+    .filter(entry => entry.searches >= minSearches);
+}
+
+/**
+ * Replace the click model with new entries
+ * @param {object} client - Elasticsearch client
+ * @param {string} index - Click model index
+ * @param {object[]} entries - Click model entries
+ */
+async function writeEntries(client, index, entries) {
+  const updatedAt = new Date().toISOString();
+
+  for (let i = 0; i < entries.length; i += PAGE_SIZE) {
+    const operations = entries.slice(i, i + PAGE_SIZE).flatMap(entry => [
+      // Stable IDs so a rebuild overwrites the previous entry for the same pair
+      { index: { _index: index, _id: crypto.createHash('sha1').update(`${entry.query_normalized}\u0000${entry.document_id}`).digest('hex') } },
+      { ...entry, updated_at: updatedAt }
+    ]);
+
+    const response = await client.bulk({ operations });
+    if (response.errors) {
+      const failed = response.items.filter(item => item.index?.error);
+      throw new Error(`${failed.length} entries failed to index: ${failed[0].index.error.reason}`);
+    }
+  }
+
+  // Pairs that no longer have clicks in the window were not rewritten
+  const deleted = await client.deleteByQuery({
+    index,
+    refresh: true,
+    body: {
+      query: { range: { updated_at: { lt: updatedAt } } }
+    }
+  });
+
+  return deleted.deleted || 0;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🖱️  Click Model Builder
+
+Usage: node elasticsearch/build-click-model.js [options]
+
+Options:
+  --days <n>           Days of usage events to aggregate (default: 90)
+  --min-searches <n>   Skip queries searched fewer times than this (default: 2)
+  --eta <n>            Position bias strength; 0 counts every click equally (default: 1)
+  --dry-run            Print the strongest entries without writing the click model
+  --help, -h           Show this help message
+
+Examples:
+  node elasticsearch/build-click-model.js
+  node elasticsearch/build-click-model.js --days 30 --dry-run
+
+Environment Variables Required:
+  ES_URL              Elasticsearch cluster URL
+  API_KEY             Elasticsearch API key
+  USAGE_INDEX         Usage telemetry index (default: gaig-usage)
+  CLICK_MODEL_INDEX   Click model index (default: gaig-click-model)
+    `);
+    process.exit(0);
+  }
+
+  // Validate environment variables
+  if (!process.env.ES_URL || !process.env.API_KEY) {
+    console.error('❌ Error: ES_URL and API_KEY must be set in .env file');
+    process.exit(1);
+  }
+
+  const days = parseInt(option('--days', '90'));
+  const minSearches = parseInt(option('--min-searches', '2'));
+  const eta = parseFloat(option('--eta', '1'));
+  const dryRun = args.includes('--dry-run');
+  const usageIndex = process.env.USAGE_INDEX || 'gaig-usage';
+  const clickModelIndex = process.env.CLICK_MODEL_INDEX || 'gaig-click-model';
+
+  if (isNaN(days) || days < 1 || isNaN(minSearches) || isNaN(eta) || eta < 0) {
+    console.error('❌ --days must be at least 1, and --min-searches and --eta must be numbers');
+    process.exit(1);
+  }
+
+  const apiKey = process.env.API_KEY.replace(/^your_/, '');
+  const client = new Client({
+    node: process.env.ES_URL,
+    auth: {
+      apiKey: apiKey
+    },
+    requestTimeout: 60000
+  });
+
+  const inWindow = { range: { timestamp: { gte: `now-${days}d/d` } } };
+
+  try {
+    console.log(`\n🖱️  Building click model from the last ${days} days of "${usageIndex}"`);
+
+    if (!dryRun && !(await client.indices.exists({ index: clickModelIndex }))) {
+      console.error(`\n❌ Click model index "${clickModelIndex}" not found`);
+      console.error(`   Create it with: node elasticsearch/create-index.js ${clickModelIndex} ./elasticsearch/click-model-mapping.json\n`);
+      process.exit(1);
+    }
+
+    // Only first-page searches have a query_id, so each search is counted once
+    const searchBuckets = await readCompositeBuckets(client, usageIndex, {
+      bool: {
+        filter: [
+          { term: { event_type: 'query' } },
+          { exists: { field: 'query_id' } },
+          { term: { error_occurred: false } },
+          inWindow
+        ]
+      }
+    }, [{ query: { terms: { field: 'query.keyword' } } }]);
+
+    // Positions in a similar-documents panel say nothing about the search results
+    const clickBuckets = await readCompositeBuckets(client, usageIndex, {
+      bool: {
+        filter: [
+          RESULT_CLICKS,
+          { exists: { field: 'clicked_document_id' } },
+          { exists: { field: 'clicked_position' } },
+          inWindow
+        ]
+      }
+    }, [
+      { query: { terms: { field: 'query.keyword' } } },
+      { document_id: { terms: { field: 'clicked_document_id' } } },
+      { position: { terms: { field: 'clicked_position' } } }
+    ], {
+      title: { terms: { field: 'clicked_document_title.keyword', size: 1 } }
+    });
+
+    console.log(`✓ ${searchBuckets.length} query texts searched, ${clickBuckets.length} query/document/position click groups`);
+
+    const entries = buildEntries(searchBuckets, clickBuckets, { eta, minSearches });
+    console.log(`✓ ${entries.length} query/document pairs with at least ${minSearches} searches`);
+
+    if (dryRun) {
+      console.log('\nStrongest engagement (dry run, nothing written):');
+      entries
+        .sort((a, b) => b.ctr - a.ctr)
+        .slice(0, 20)
+        .forEach(entry => {
+          console.log(`  ${entry.ctr.toFixed(3)}  ${entry.clicks} clicks / ${entry.searches} searches, mean rank ${entry.mean_position}  "${entry.query}" → ${entry.document_title || entry.document_id}`);
+        });
+      console.log();
+      return;
+    }
+
+    const deleted = await writeEntries(client, clickModelIndex, entries);
+    console.log(`\n✅ Click model written to "${clickModelIndex}" (${entries.length} entries, ${deleted} stale entries removed)\n`);
+  } catch (error) {
+    console.error(`\n❌ Click model build failed:`, error.message);
+    if (error.meta?.body?.error) {
+      console.error(`   Elasticsearch error:`, JSON.stringify(error.meta.body.error, null, 2));
+    }
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
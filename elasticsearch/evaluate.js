@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+
+/**
+ * Search Quality Evaluation
+ *
+ * Runs every judged question in Questions.json through the same query builder as
+ * /api/search and reports recall@k, MRR and nDCG@k per category. Optionally compares
+ * two query templates side by side.
+ *
+ * Judgments are stored on each question in Questions.json:
+ *   "relevant_documents": ["policy-guide.pdf", { "filename": "rates.pdf", "grade": 2 }, { "id": "abc123" }]
+ *   "expected_answer": ["$50,000,000", "$25,000,000"]
+ * A string matches a document ID or filename; grades default to 1 (higher is more relevant).
+ * expected_answer lists facts the top results should contain for the LLM to answer correctly.
+ *
+ * Usage: node elasticsearch/evaluate.js [options]
+ * Example: node elasticsearch/evaluate.js --compare ./elasticsearch/hybrid.query
+ * Set RETRIEVAL_MODEL (and RETRIEVAL_FIELD/RETRIEVAL_INFERENCE_ID) to evaluate another model:
+ *   RETRIEVAL_MODEL=e5 node elasticsearch/evaluate.js --json e5.json
+ */
+
+require('dotenv').config();
+const { Client } = require('@elastic/elasticsearch');
+const fs = require('fs');
+const path = require('path');
+const { queryTemplates, RETRIEVAL_MODEL, loadQueryTemplate, buildSearchQuery, formatSearchHit } = require('../search-query');
+const { getTitle, getHighlights } = require('../citations');
+
+/**
+ * Normalize text for fact matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercased text without markup and with collapsed whitespace
+ */
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize the relevant_documents of a question
+ * @param {Array<string|object>} relevantDocuments - Judgments from Questions.json
+ * @returns {object[]} Judgments as { id, filename, title, grade }
+ */
+function parseJudgments(relevantDocuments = []) {
+  return relevantDocuments.map(judgment => {
+    if (typeof judgment === 'string') {
+      return { id: judgment, filename: judgment, grade: 1 };
+    }
+    return {
+      id: judgment.id,
+      filename: judgment.filename,
+      title: judgment.title,
+      grade: judgment.grade === undefined ? 1 : judgment.grade
+    };
+  });
+}
+
+/**
+ * Find the judgment a search result satisfies
+ * @param {object} result - Search result ({ id, source, highlight })
+ * @param {object[]} judgments - Parsed judgments
+ * @returns {object|undefined} Matching judgment
+ */
+function findJudgment(result, judgments) {
+  const filename = result.source?.filename || result.source?.attachment?.filename;
+  const title = normalize(getTitle(result));
+
+  return judgments.find(judgment =>
+    (judgment.id && judgment.id === result.id) ||
+    (judgment.filename && judgment.filename === filename) ||
+    (judgment.title && normalize(judgment.title) === title)
+  );
+}
+
+/**
+ * Score the ranked results of one question
+ * @param {object[]} results - Ranked search results
+ * @param {object} question - Question with relevant_documents and/or expected_answer
+ * @param {number} k - Cutoff
+ * @returns {object} recall, mrr, ndcg (null without document judgments) and answer_coverage
+ *   (null without expected_answer)
+ */
+function scoreQuestion(results, question, k) {
+  const judgments = parseJudgments(question.relevant_documents).filter(judgment => judgment.grade > 0);
+  const topResults = results.slice(0, k);
+  const scores = { recall: null, mrr: null, ndcg: null, answer_coverage: null };
+
+  if (judgments.length > 0) {
+    const found = new Set();
+    let firstRelevantRank = null;
+    let dcg = 0;
+
+    topResults.forEach((result, index) => {
+      const judgment = findJudgment(result, judgments);
+      if (!judgment || found.has(judgment)) return;
+
+      found.add(judgment);
+      if (firstRelevantRank === null) firstRelevantRank = index + 1;
+      dcg += (Math.pow(2, judgment.grade) - 1) / Math.log2(index + 2);
+    });
+
+    const idealDcg = judgments
+      .map(judgment => judgment.grade)
+      .sort((a, b) => b - a)
+      .slice(0, k)
+      .reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+
+    scores.recall = found.size / judgments.length;
+    scores.mrr = firstRelevantRank ? 1 / firstRelevantRank : 0;
+    scores.ndcg = idealDcg > 0 ? dcg / idealDcg : 0;
+  }
+
+  const facts = question.expected_answer
+    ? (Array.isArray(question.expected_answer) ? question.expected_answer : [question.expected_answer])
+    : [];
+
+  if (facts.length > 0) {
+    // The LLM answers from the highlights, so the facts must appear in them
+    const context = normalize(topResults.map(result => getHighlights(result).join(' ')).join(' '));
+    const covered = facts.filter(fact => context.includes(normalize(fact)));
+    scores.answer_coverage = covered.length / facts.length;
+  }
+
+  return scores;
+}
+
+/**
+ * Average the non-null values of a metric
+ * @param {object[]} scores - Question scores
+ * @param {string} metric - Metric name
+ * @returns {number|null} Mean, or null when no question has the metric
+ */
+function mean(scores, metric) {
+  const values = scores.map(score => score[metric]).filter(value => value !== null);
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Summarize question scores per category and overall
+ * @param {object[]} scored - { category, scores } per judged question
+ * @returns {object} Metric means by category name, plus "ALL"
+ */
+function summarize(scored) {
+  const groups = {};
+  scored.forEach(item => {
+    (groups[item.category] = groups[item.category] || []).push(item.scores);
+  });
+  groups.ALL = scored.map(item => item.scores);
+
+  const summary = {};
+  Object.entries(groups).forEach(([category, scores]) => {
+    summary[category] = {
+      questions: scores.length,
+      recall: mean(scores, 'recall'),
+      mrr: mean(scores, 'mrr'),
+      ndcg: mean(scores, 'ndcg'),
+      answer_coverage: mean(scores, 'answer_coverage')
+    };
+  });
+  return summary;
+}
+
+/**
+ * Run every judged question with one query template
+ * @param {object} client - Elasticsearch client
+ * @param {object[]} questions - Questions with their category
+ * @param {object} options - { template, retriever, k, user, index }
+ * @returns {Promise<object[]>} Scores per question
+ */
+async function evaluateTemplate(client, questions, options) {
+  const scored = [];
+
+  for (const question of questions) {
+    const body = buildSearchQuery(question.question, {}, {
+      template: options.template,
+      retriever: options.retriever,
+      size: options.k,
+      user: options.user
+    });
+
+    const response = await client.search({
+      index: options.index,
+      body,
+      size: options.k
+    });
+
+    const results = response.hits.hits.map(formatSearchHit);
+    scored.push({
+      id: question.id,
+      category: question.category,
+      scores: scoreQuestion(results, question, options.k),
+      top: results.map(result => ({ id: result.id, filename: result.source?.filename, title: getTitle(result) }))
+    });
+    process.stdout.write('.');
+  }
+
+  process.stdout.write('\n');
+  return scored;
+}
+
+/**
+ * Format a metric for the report table
+ * @param {number|null} value - Metric value
+ * @returns {string} Metric with three decimals, or "-" when missing
+ */
+function formatMetric(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+/**
+ * Format the difference between two metric values
+ * @param {number|null} baseline - Baseline value
+ * @param {number|null} candidate - Candidate value
+ * @returns {string} Signed difference, or "-" when either is missing
+ */
+function formatDelta(baseline, candidate) {
+  if (baseline === null || candidate === null) return '-';
+  const delta = candidate - baseline;
+  return `${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`;
+}
+
+/**
+ * Print the metrics table, with deltas when comparing
+ * @param {object} baseline - Summary of the baseline template
+ * @param {object|null} candidate - Summary of the compared template
+ * @param {number} k - Cutoff
+ */
+function printReport(baseline, candidate, k) {
+  const metrics = [['recall', `R@${k}`], ['mrr', 'MRR'], ['ndcg', `nDCG@${k}`], ['answer_coverage', 'Answer']];
+  const cell = text => String(text).padStart(10);
+  const row = (category, questions, cells) => `${category.padEnd(22)}${String(questions).padStart(4)}${cells.map(cell).join('')}`;
+
+  const headers = metrics.flatMap(([, label]) => (candidate ? [`${label} A`, `${label} B`, 'Δ'] : [label]));
+  const header = row('Category', 'N', headers);
+  console.log(`\n${header}`);
+  console.log('─'.repeat(header.length));
+
+  Object.keys(baseline).forEach(category => {
+    const a = baseline[category];
+    const b = candidate?.[category];
+    const cells = metrics.flatMap(([metric]) => (b
+      ? [formatMetric(a[metric]), formatMetric(b[metric]), formatDelta(a[metric], b[metric])]
+      : [formatMetric(a[metric])]));
+    console.log(row(category, a.questions, cells));
+  });
+}
+
+/**
+ * Main function - parse CLI arguments and run the evaluation
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📏 Search Quality Evaluation
+
+Usage: node elasticsearch/evaluate.js [options]
+
+Options:
+  --template <file>    Query template to evaluate (default: the retriever's template)
+  --retriever <mode>   Retriever whose template is used without --template: ${Object.keys(queryTemplates).join(', ')} (default: semantic)
+  --compare <file>     Second query template to compare against the first
+  --k <n>              Cutoff for recall, nDCG and answer coverage (default: 10)
+  --questions <file>   Questions file with judgments (default: ./Questions.json)
+  --groups <a,b>       Evaluate as a user in these document access groups
+  --list               Print the top results of every question, to help write judgments
+  --json <file>        Also write the per-question scores to a JSON file
+  --help, -h           Show this help message
+
+Examples:
+  node elasticsearch/evaluate.js
+  node elasticsearch/evaluate.js --retriever hybrid --k 5
+  node elasticsearch/evaluate.js --template ./elasticsearch/main.query --compare ./my-variant.query
+
+Environment Variables Required:
+  ES_URL           Elasticsearch cluster URL
+  API_KEY          Elasticsearch API key
+  INDEX_NAME       Index to search
+    `);
+    process.exit(0);
+  }
+
+  // Validate environment variables
+  if (!process.env.ES_URL || !process.env.API_KEY || !process.env.INDEX_NAME) {
+    console.error('❌ Error: ES_URL, API_KEY and INDEX_NAME must be set in .env file');
+    process.exit(1);
+  }
+
+  const k = parseInt(option('--k', '10'));
+  const retriever = option('--retriever', 'semantic');
+  const templatePath = option('--template', null);
+  const comparePath = option('--compare', null);
+  const questionsPath = option('--questions', path.join(__dirname, '..', 'Questions.json'));
+  const jsonPath = option('--json', null);
+  const groups = option('--groups', '');
+
+  if (!Object.hasOwn(queryTemplates, retriever)) {
+    console.error(`❌ Unknown retriever "${retriever}"`);
+    process.exit(1);
+  }
+
+  const questionsFile = JSON.parse(fs.readFileSync(questionsPath, 'utf8'));
+  const questions = questionsFile.categories.flatMap(category =>
+    category.questions.map(question => ({ ...question, category: category.categoryId }))
+  );
+  const judged = args.includes('--list')
+    ? questions
+    : questions.filter(question => (question.relevant_documents || []).length > 0 || question.expected_answer);
+
+  console.log(`\n📏 Evaluating ${judged.length} of ${questions.length} questions (k=${k}, RETRIEVAL_MODEL=${RETRIEVAL_MODEL.name})`);
+  if (judged.length === 0) {
+    console.log('\n⚠️  No question has relevant_documents or expected_answer judgments yet.');
+    console.log('   Run with --list to see the current top results, then add judgments to the questions file.\n');
+    process.exit(1);
+  }
+
+  const apiKey = process.env.API_KEY.replace(/^your_/, '');
+  const client = new Client({
+    node: process.env.ES_URL,
+    auth: {
+      apiKey: apiKey
+    },
+    requestTimeout: 60000
+  });
+
+  const baseOptions = {
+    retriever,
+    k,
+    index: process.env.INDEX_NAME,
+    user: groups ? { groups: groups.split(',').map(group => group.trim()) } : null
+  };
+
+  try {
+    console.log(`\n🅰️  ${templatePath || `${retriever} retriever template`}`);
+    const baselineScores = await evaluateTemplate(client, judged, {
+      ...baseOptions,
+      template: templatePath ? loadQueryTemplate(templatePath) : null
+    });
+
+    if (args.includes('--list')) {
+      baselineScores.forEach(item => {
+        console.log(`\n${item.id}: ${judged.find(question => question.id === item.id).question}`);
+        item.top.forEach((result, index) => {
+          console.log(`  ${String(index + 1).padStart(2)}. ${result.title}  [id: ${result.id}, filename: ${result.filename}]`);
+        });
+      });
+      console.log();
+      return;
+    }
+
+    let candidateScores = null;
+    if (comparePath) {
+      console.log(`🅱️  ${comparePath}`);
+      candidateScores = await evaluateTemplate(client, judged, {
+        ...baseOptions,
+        template: loadQueryTemplate(comparePath)
+      });
+    }
+
+    const baseline = summarize(baselineScores);
+    const candidate = candidateScores ? summarize(candidateScores) : null;
+    printReport(baseline, candidate, k);
+
+    if (jsonPath) {
+      fs.writeFileSync(jsonPath, JSON.stringify({
+        k,
+        retrieval_model: RETRIEVAL_MODEL.name,
+        baseline: { template: templatePath || retriever, summary: baseline, questions: baselineScores },
+        candidate: candidate ? { template: comparePath, summary: candidate, questions: candidateScores } : null
+      }, null, 2));
+      console.log(`\n💾 Per-question scores written to ${jsonPath}`);
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(`\n❌ Evaluation failed:`, error.message);
+    if (error.meta?.body?.error) {
+      console.error(`   Elasticsearch error:`, JSON.stringify(error.meta.body.error, null, 2));
+    }
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
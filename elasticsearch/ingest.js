@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Document Ingestion
+ *
+ * Indexes every PDF and DOCX file in a folder and its subfolders into INDEX_NAME.
+ * Creates the ingest pipeline, and the index with elasticsearch/documents-index-mapping.json
+ * when it does not exist yet, then sends the files in bulk and reports each file's
+ * outcome. Document IDs come from the file path relative to the folder and a source name
+ * (--source, by default the folder's absolute path), so files keep their ID when indexed
+ * again and re-running replaces them, while two folders with the same layout never collide.
+ *
+ * Usage: node elasticsearch/ingest.js <folder> [options]
+ * Example: node elasticsearch/ingest.js ./documents --access-groups underwriting,claims
+ */
+
+require('dotenv').config();
+const { Client } = require('@elastic/elasticsearch');
+const fs = require('fs');
+const path = require('path');
+const IngestionService = require('../ingestion');
+const LocalDocumentStore = require('../document-store');
+const { getRetrievalModel } = require('../retrieval-model');
+
+const STATUS_ICONS = {
+  indexed: '✅',
+  failed: '❌'
+};
+
+/**
+ * Read the files one at a time, so only one bulk request's files are held in memory
+ * @param {string} folder - Folder being ingested
+ * @param {string[]} relativePaths - Files relative to the folder
+ */
+function* readFiles(folder, relativePaths) {
+  for (const sourcePath of relativePaths) {
+    yield { sourcePath, data: fs.readFileSync(path.join(folder, sourcePath)) };
+  }
+}
+
+/**
+ * Main function - parse CLI arguments and ingest the folder
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  if (args.length < 1 || args[0].startsWith('-') || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📥 Document Ingestion
+
+Usage: node elasticsearch/ingest.js <folder> [options]
+
+Arguments:
+  <folder>                  Folder of PDF and DOCX files, searched recursively
+
+Options:
+  --index <name>            Index to write to (default: INDEX_NAME)
+  --access-groups <groups>  Comma-separated groups allowed to see the files (default: everyone)
+  --source <name>           Source name in the document IDs (default: the folder's absolute path)
+  --json <file>             Write the per-file results to a JSON file
+  --help, -h                Show this help message
+
+Examples:
+  node elasticsearch/ingest.js ./documents
+  node elasticsearch/ingest.js ./documents/claims --access-groups claims --json ingest-report.json
+  node elasticsearch/ingest.js /mnt/claims --source claims
+
+Environment Variables Required:
+  ES_URL             Elasticsearch cluster URL
+  API_KEY            Elasticsearch API key
+  INDEX_NAME         Search index
+  INGEST_PIPELINE    Ingest pipeline ID (default: gaig-document-ingest)
+  DOCUMENT_STORE_DIR Folder the original files are kept in (default: ./document-store)
+  RETRIEVAL_MODEL    Retrieval model whose inference endpoint embeds new indices (default: elser)
+    `);
+    process.exit(0);
+  }
+
+  // Validate environment variables
+  if (!process.env.ES_URL || !process.env.API_KEY) {
+    console.error('❌ Error: ES_URL and API_KEY must be set in .env file');
+    process.exit(1);
+  }
+
+  const folder = args[0];
+  const indexName = option('--index', process.env.INDEX_NAME);
+  const accessGroups = option('--access-groups', '').split(',').map(group => group.trim()).filter(Boolean);
+  const source = option('--source', path.resolve(folder));
+  const jsonPath = option('--json', null);
+
+  if (!indexName) {
+    console.error('❌ Set INDEX_NAME in .env or pass --index');
+    process.exit(1);
+  }
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error(`❌ Folder not found: ${folder}`);
+    process.exit(1);
+  }
+
+  const apiKey = process.env.API_KEY.replace(/^your_/, '');
+  const client = new Client({
+    node: process.env.ES_URL,
+    auth: {
+      apiKey: apiKey
+    },
+    // Inference on large documents can take minutes per bulk request
+    requestTimeout: 300000
+  });
+
+  const ingestion = new IngestionService(client, indexName, {
+    pipelineId: process.env.INGEST_PIPELINE,
+    retrievalModel: getRetrievalModel(),
+    // The same store as the server's, so the viewer can show the files
+    documentStore: new LocalDocumentStore(process.env.DOCUMENT_STORE_DIR || path.join(__dirname, '..', 'document-store'))
+  });
+
+  try {
+    const files = IngestionService.listSupportedFiles(folder);
+    console.log(`\n📥 Ingesting ${files.length} files from ${folder} into "${indexName}"`);
+    if (accessGroups.length > 0) {
+      console.log(`🔒 Visible to: ${accessGroups.join(', ')}`);
+    }
+
+    const { indexCreated } = await ingestion.setup();
+    console.log(`✓ Ingest pipeline "${ingestion.pipelineId}" is up to date`);
+    if (indexCreated) {
+      console.log(`✓ Created index "${indexName}"`);
+    }
+    console.log();
+
+    const results = await ingestion.indexFiles(readFiles(folder, files), {
+      accessGroups,
+      source,
+      onResult: result => {
+        console.log(`${STATUS_ICONS[result.status]} ${result.source_path}${result.error ? `  ${result.error}` : ''}`);
+      }
+    });
+
+    const failed = results.filter(result => result.status === 'failed');
+    console.log(`\n${failed.length === 0 ? '✅' : '⚠️ '} ${results.length - failed.length} indexed, ${failed.length} failed`);
+
+    if (jsonPath) {
+      fs.writeFileSync(jsonPath, JSON.stringify({ index: indexName, results }, null, 2));
+      console.log(`💾 Per-file results written to ${jsonPath}`);
+    }
+    console.log();
+
+    if (failed.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`\n❌ Ingestion failed:`, error.message);
+    if (error.meta?.body?.error) {
+      console.error(`   Elasticsearch error:`, JSON.stringify(error.meta.body.error, null, 2));
+    }
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
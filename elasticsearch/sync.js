@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Incremental Document Sync
+ *
+ * Keeps INDEX_NAME in step with a folder of PDF and DOCX files. Each run hashes the
+ * files, re-indexes only the new and changed ones, and deletes the documents of files
+ * that were removed, so revised reports replace their stale versions. What was indexed
+ * is recorded in a sync ledger, so a rerun with no changes does nothing and files that
+ * failed are retried on the next run. --watch repeats the sync on an interval.
+ *
+ * Document IDs come from the file path relative to the folder and a source name (--source,
+ * by default the folder's absolute path), so two folders with the same layout never share IDs.
+ *
+ * The ledger is a JSON file, by default .gaig-sync-ledger.json in the folder:
+ *   { "index": "...", "source": "...", "updated_at": "...", "files": { "reports/q3.pdf": { "id", "content_hash", "size", "access_groups", "indexed_at" } } }
+ *
+ * Usage: node elasticsearch/sync.js <folder> [options]
+ * Example: node elasticsearch/sync.js ./documents --watch --interval 600
+ */
+
+require('dotenv').config();
+const { Client } = require('@elastic/elasticsearch');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const IngestionService = require('../ingestion');
+const LocalDocumentStore = require('../document-store');
+const { getRetrievalModel } = require('../retrieval-model');
+
+const DEFAULT_LEDGER_FILE = '.gaig-sync-ledger.json';
+const DEFAULT_INTERVAL_SECONDS = 300;
+
+/**
+ * Hash a file without reading it into memory at once
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} SHA-256 hex digest, the same as IngestionService.contentHash
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read the sync ledger. A ledger written for another index is ignored, so every file is indexed again.
+ * @param {string} ledgerPath - Ledger file
+ * @param {string} indexName - Index being synced
+ * @returns {object} Ledger
+ */
+function loadLedger(ledgerPath, indexName) {
+  if (!fs.existsSync(ledgerPath)) {
+    return { index: indexName, source: null, updated_at: null, files: {} };
+  }
+
+  const ledger = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+  if (ledger.index !== indexName) {
+    console.log(`⚠️  The ledger was written for "${ledger.index}"; starting a new one for "${indexName}"`);
+    return { index: indexName, source: null, updated_at: null, files: {} };
+  }
+
+  return { ...ledger, files: ledger.files || {} };
+}
+
+/**
+ * Write the ledger through a temporary file, so an interrupted write never leaves a broken ledger
+ * @param {string} ledgerPath - Ledger file
+ * @param {object} ledger - Ledger
+ */
+function saveLedger(ledgerPath, ledger) {
+  const tempPath = `${ledgerPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...ledger, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(tempPath, ledgerPath);
+}
+
+/**
+ * Compare the folder with the ledger
+ * @param {string} folder - Synced folder
+ * @param {object} ledger - Ledger
+ * @param {string[]} accessGroups - Groups the files are restricted to
+ * @param {string} source - Source name the document IDs are derived from
+ * @returns {Promise<object>} { added, changed, unchanged, deleted }; files as { sourcePath, contentHash, size },
+ *   changed files whose ID changed with staleId, the document to delete once the file is indexed again
+ */
+async function planSync(folder, ledger, accessGroups, source) {
+  const plan = { added: [], changed: [], unchanged: [], deleted: [] };
+  const groupsKey = [...accessGroups].sort().join(',');
+  const present = new Set();
+
+  for (const relativePath of IngestionService.listSupportedFiles(folder)) {
+    // Ledger keys use forward slashes so a ledger stays valid across platforms
+    const sourcePath = relativePath.split(path.sep).join('/');
+    const filePath = path.join(folder, relativePath);
+    const file = { sourcePath, contentHash: await hashFile(filePath), size: fs.statSync(filePath).size };
+    const entry = ledger.files[sourcePath];
+    present.add(sourcePath);
+
+    if (!entry) {
+      plan.added.push(file);
+    } else if (entry.id !== IngestionService.documentId(sourcePath, source)) {
+      // Indexed under another source, or by a version that derived IDs from the path alone
+      plan.changed.push({ ...file, staleId: entry.id });
+    } else if (entry.content_hash !== file.contentHash || [...(entry.access_groups || [])].sort().join(',') !== groupsKey) {
+      // New access groups must reach the document too
+      plan.changed.push(file);
+    } else {
+      plan.unchanged.push(file);
+    }
+  }
+
+  plan.deleted = Object.keys(ledger.files)
+    .filter(sourcePath => !present.has(sourcePath))
+    .map(sourcePath => ({ sourcePath, id: ledger.files[sourcePath].id }));
+
+  return plan;
+}
+
+/**
+ * Read the files to index one at a time
+ * @param {string} folder - Synced folder
+ * @param {object[]} files - { sourcePath }
+ */
+function* readFiles(folder, files) {
+  for (const file of files) {
+    yield { sourcePath: file.sourcePath, data: fs.readFileSync(path.join(folder, file.sourcePath)) };
+  }
+}
+
+/**
+ * Run one sync
+ * @param {IngestionService} ingestion - Ingestion service for the index
+ * @param {object} options - { folder, source, ledgerPath, accessGroups, dryRun }
+ * @returns {Promise<object>} { indexed, deleted, failed } counts
+ */
+async function syncFolder(ingestion, options) {
+  const { folder, source, ledgerPath, accessGroups, dryRun } = options;
+  const ledger = loadLedger(ledgerPath, ingestion.indexName);
+  if (ledger.source !== source && Object.keys(ledger.files).length > 0) {
+    console.log(`⚠️  The ledger was written for source "${ledger.source || '(none)'}"; its files are indexed again under "${source}"`);
+  }
+  ledger.source = source;
+  const plan = await planSync(folder, ledger, accessGroups, source);
+
+  console.log(`\n🔄 ${new Date().toISOString()}  ${folder} → "${ingestion.indexName}"`);
+  console.log(`   ${plan.added.length} new, ${plan.changed.length} changed, ${plan.deleted.length} deleted, ${plan.unchanged.length} unchanged`);
+
+  if (dryRun) {
+    plan.added.forEach(file => console.log(`   ➕ ${file.sourcePath}`));
+    plan.changed.forEach(file => console.log(`   ✏️  ${file.sourcePath}`));
+    plan.deleted.forEach(file => console.log(`   ➖ ${file.sourcePath}`));
+    console.log('   Dry run, nothing indexed or deleted');
+    return { indexed: 0, deleted: 0, failed: 0 };
+  }
+
+  const counts = { indexed: 0, deleted: 0, failed: 0 };
+  const toIndex = [...plan.added, ...plan.changed];
+  if (toIndex.length === 0 && plan.deleted.length === 0) {
+    return counts;
+  }
+
+  await ingestion.setup();
+
+  const hashes = new Map(toIndex.map(file => [file.sourcePath, file]));
+  // Documents of files now indexed under a new ID; kept until then, so a failed file stays searchable
+  const replaced = [];
+  await ingestion.indexFiles(readFiles(folder, toIndex), {
+    accessGroups,
+    source,
+    onResult: result => {
+      if (result.status === 'indexed') {
+        const file = hashes.get(result.source_path);
+        if (file.staleId) replaced.push({ sourcePath: file.sourcePath, id: file.staleId });
+        ledger.files[result.source_path] = {
+          id: result.id,
+          content_hash: file.contentHash,
+          size: file.size,
+          access_groups: accessGroups,
+          indexed_at: new Date().toISOString()
+        };
+        counts.indexed++;
+        console.log(`   ✅ ${result.source_path}`);
+      } else {
+        // Left out of the ledger, so the next run tries again
+        counts.failed++;
+        console.log(`   ❌ ${result.source_path}  ${result.error}`);
+      }
+    }
+  });
+  // Save before deleting, so indexed files are recorded even if the deletes fail
+  saveLedger(ledgerPath, ledger);
+
+  const toDelete = [...plan.deleted, ...replaced.map(file => ({ ...file, replaced: true }))];
+  const deleteResults = await ingestion.deleteDocuments(toDelete.map(file => file.id));
+  deleteResults.forEach((result, index) => {
+    const { sourcePath, replaced: isReplaced } = toDelete[index];
+    if (result.status === 'failed') {
+      counts.failed++;
+      console.log(`   ❌ ${sourcePath}  ${result.error}`);
+      return;
+    }
+    if (isReplaced) return;
+    // Documents already gone count as deleted
+    delete ledger.files[sourcePath];
+    counts.deleted++;
+    console.log(`   🗑️  ${sourcePath}`);
+  });
+  saveLedger(ledgerPath, ledger);
+
+  console.log(`   ${counts.failed === 0 ? '✅' : '⚠️ '} ${counts.indexed} indexed, ${counts.deleted} deleted, ${counts.failed} failed`);
+  return counts;
+}
+
+/**
+ * Main function - parse CLI arguments and sync the folder
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  if (args.length < 1 || args[0].startsWith('-') || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🔄 Incremental Document Sync
+
+Usage: node elasticsearch/sync.js <folder> [options]
+
+Arguments:
+  <folder>                  Folder of PDF and DOCX files, searched recursively
+
+Options:
+  --index <name>            Index to sync (default: INDEX_NAME)
+  --access-groups <groups>  Comma-separated groups allowed to see the files (default: everyone)
+  --source <name>           Source name in the document IDs (default: the folder's absolute path)
+  --ledger <file>           Sync ledger (default: <folder>/${DEFAULT_LEDGER_FILE})
+  --dry-run                 List the new, changed and deleted files without indexing
+  --watch                   Keep running and sync again every --interval seconds
+  --interval <seconds>      Time between syncs with --watch (default: ${DEFAULT_INTERVAL_SECONDS})
+  --help, -h                Show this help message
+
+Examples:
+  node elasticsearch/sync.js ./documents --dry-run
+  node elasticsearch/sync.js ./documents/claims --access-groups claims
+  node elasticsearch/sync.js /mnt/claims --source claims
+  node elasticsearch/sync.js /mnt/reports --watch --interval 600
+
+Environment Variables Required:
+  ES_URL             Elasticsearch cluster URL
+  API_KEY            Elasticsearch API key
+  INDEX_NAME         Search index
+  INGEST_PIPELINE    Ingest pipeline ID (default: gaig-document-ingest)
+  DOCUMENT_STORE_DIR Folder the original files are kept in (default: ./document-store)
+    `);
+    process.exit(0);
+  }
+
+  // Validate environment variables
+  if (!process.env.ES_URL || !process.env.API_KEY) {
+    console.error('❌ Error: ES_URL and API_KEY must be set in .env file');
+    process.exit(1);
+  }
+
+  const folder = args[0];
+  const indexName = option('--index', process.env.INDEX_NAME);
+  const accessGroups = option('--access-groups', '').split(',').map(group => group.trim()).filter(Boolean);
+  const source = option('--source', path.resolve(folder));
+  const ledgerPath = option('--ledger', path.join(folder, DEFAULT_LEDGER_FILE));
+  const intervalSeconds = parseFloat(option('--interval', String(DEFAULT_INTERVAL_SECONDS)));
+  const dryRun = args.includes('--dry-run');
+  const watch = args.includes('--watch');
+
+  if (!indexName) {
+    console.error('❌ Set INDEX_NAME in .env or pass --index');
+    process.exit(1);
+  }
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error(`❌ Folder not found: ${folder}`);
+    process.exit(1);
+  }
+  if (isNaN(intervalSeconds) || intervalSeconds < 1) {
+    console.error('❌ --interval must be at least 1 second');
+    process.exit(1);
+  }
+
+  const apiKey = process.env.API_KEY.replace(/^your_/, '');
+  const client = new Client({
+    node: process.env.ES_URL,
+    auth: {
+      apiKey: apiKey
+    },
+    // Inference on large documents can take minutes per bulk request
+    requestTimeout: 300000
+  });
+
+  const ingestion = new IngestionService(client, indexName, {
+    pipelineId: process.env.INGEST_PIPELINE,
+    retrievalModel: getRetrievalModel(),
+    documentStore: new LocalDocumentStore(process.env.DOCUMENT_STORE_DIR || path.join(__dirname, '..', 'document-store'))
+  });
+
+  const runOnce = async () => {
+    try {
+      return await syncFolder(ingestion, { folder, source, ledgerPath, accessGroups, dryRun });
+    } catch (error) {
+      console.error(`\n❌ Sync failed:`, error.message);
+      if (error.meta?.body?.error) {
+        console.error(`   Elasticsearch error:`, JSON.stringify(error.meta.body.error, null, 2));
+      }
+      return null;
+    }
+  };
+
+  if (!watch) {
+    const counts = await runOnce();
+    console.log();
+    process.exit(counts && counts.failed === 0 ? 0 : 1);
+  }
+
+  // Polling works on network shares and mounted buckets, where file system events are unreliable
+  console.log(`👀 Watching ${folder}, syncing every ${intervalSeconds} seconds (Ctrl+C to stop)`);
+  let timer = null;
+  const loop = async () => {
+    await runOnce();
+    timer = setTimeout(loop, intervalSeconds * 1000);
+  };
+  process.on('SIGINT', () => {
+    clearTimeout(timer);
+    console.log('\n👋 Sync stopped\n');
+    process.exit(0);
+  });
+  await loop();
+}
+
+// Run the script
+main();
@@ -0,0 +1,201 @@
+/**
+ * A/B Experiments for GAIG PDF Website
+ *
+ * Assigns browser sessions to experiment variants so alternate query templates,
+ * highlight settings, system prompts and LLM providers can be tried on part of the
+ * traffic without a redeploy. Assignment is a hash of the session ID, so a session
+ * keeps its variant for every search and answer. The assigned experiment and
+ * variant are recorded on every telemetry event.
+ *
+ * Experiments are defined in a JSON file (EXPERIMENTS_FILE):
+ * {
+ *   "experiments": [{
+ *     "id": "wide-highlights",
+ *     "traffic": 0.5,
+ *     "variants": [
+ *       { "name": "control" },
+ *       { "name": "wide", "highlight": { "number_of_fragments": 4 }, "system_prompt": "./prompts/concise.txt" }
+ *     ]
+ *   }]
+ * }
+ * Paths are relative to the experiments file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { queryTemplates, loadQueryTemplate } = require('./search-query');
+
+/**
+ * Map a string to a stable number in [0, 1)
+ * @param {string} value - Value to hash
+ * @returns {number} Hash fraction
+ */
+function hashFraction(value) {
+  return crypto.createHash('sha256').update(value).digest().readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Validate a variant and load the files it refers to
+ * @param {object} variant - Variant definition
+ * @param {string} baseDir - Directory paths are relative to
+ * @param {string} experimentId - Experiment the variant belongs to, for error messages
+ * @returns {object} Variant with its settings loaded
+ */
+function loadVariant(variant, baseDir, experimentId) {
+  if (!variant || typeof variant.name !== 'string' || !variant.name) {
+    throw new Error(`Experiment "${experimentId}" has a variant without a name`);
+  }
+
+  const weight = variant.weight ?? 1;
+  if (typeof weight !== 'number' || weight <= 0) {
+    throw new Error(`Variant "${variant.name}" of experiment "${experimentId}" must have a positive weight`);
+  }
+
+  const settings = {};
+
+  if (variant.query_templates) {
+    settings.query_templates = {};
+    Object.entries(variant.query_templates).forEach(([retriever, templatePath]) => {
+      if (!Object.hasOwn(queryTemplates, retriever)) {
+        throw new Error(`Variant "${variant.name}" of experiment "${experimentId}" has a template for unknown retriever "${retriever}"`);
+      }
+      settings.query_templates[retriever] = loadQueryTemplate(path.resolve(baseDir, templatePath));
+    });
+  }
+
+  if (variant.highlight) {
+    settings.highlight = variant.highlight;
+  }
+
+  if (variant.system_prompt) {
+    settings.system_prompt = fs.readFileSync(path.resolve(baseDir, variant.system_prompt), 'utf8');
+  }
+
+  if (variant.llm_provider) {
+    settings.llm_provider = variant.llm_provider;
+  }
+
+  if (typeof variant.click_boost === 'boolean') {
+    settings.click_boost = variant.click_boost;
+  }
+
+  return { name: variant.name, weight, settings };
+}
+
+class ExperimentService {
+  /**
+   * @param {object[]} experiments - Experiment definitions
+   * @param {string} baseDir - Directory the definitions' paths are relative to
+   */
+  constructor(experiments = [], baseDir = process.cwd()) {
+    this.experiments = experiments
+      .filter(experiment => experiment.enabled !== false)
+      .map(experiment => {
+        if (!experiment.id || typeof experiment.id !== 'string') {
+          throw new Error('Every experiment needs an id');
+        }
+        if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+          throw new Error(`Experiment "${experiment.id}" needs at least two variants`);
+        }
+
+        const variants = experiment.variants.map(variant => loadVariant(variant, baseDir, experiment.id));
+        const names = new Set(variants.map(variant => variant.name));
+        if (names.size !== variants.length) {
+          throw new Error(`Experiment "${experiment.id}" has duplicate variant names`);
+        }
+
+        return {
+          id: experiment.id,
+          description: experiment.description || '',
+          traffic: experiment.traffic ?? 1,
+          variants
+        };
+      });
+
+    // Experiments take consecutive slices of the traffic, so a session is in at most one
+    const totalTraffic = this.experiments.reduce((sum, experiment) => sum + experiment.traffic, 0);
+    if (this.experiments.some(experiment => experiment.traffic < 0) || totalTraffic > 1) {
+      throw new Error(`Experiment traffic shares must be between 0 and 1 and add up to at most 1 (got ${totalTraffic})`);
+    }
+  }
+
+  /**
+   * Load experiments from a JSON file
+   * @param {string} filePath - Experiments file; no experiments when empty
+   * @returns {ExperimentService} Experiment service
+   */
+  static load(filePath) {
+    if (!filePath) return new ExperimentService();
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new ExperimentService(config.experiments || [], path.dirname(path.resolve(filePath)));
+  }
+
+  get enabled() {
+    return this.experiments.length > 0;
+  }
+
+  /**
+   * Find a running experiment
+   * @param {string} experimentId - Experiment ID
+   * @returns {object|undefined} Experiment
+   */
+  getExperiment(experimentId) {
+    return this.experiments.find(experiment => experiment.id === experimentId);
+  }
+
+  /**
+   * Assign a session to an experiment variant
+   * @param {string} sessionId - Browser session ID
+   * @returns {object|null} { id, variant, settings }, or null when the session is in no experiment
+   */
+  assign(sessionId) {
+    if (!sessionId || !this.enabled) return null;
+
+    const trafficPoint = hashFraction(`traffic:${sessionId}`);
+    let trafficStart = 0;
+
+    for (const experiment of this.experiments) {
+      if (trafficPoint < trafficStart + experiment.traffic) {
+        // A second hash per experiment keeps variant assignment independent of the traffic slice
+        const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+        let variantPoint = hashFraction(`${experiment.id}:${sessionId}`) * totalWeight;
+        const variant = experiment.variants.find(candidate => (variantPoint -= candidate.weight) < 0) ||
+          experiment.variants[experiment.variants.length - 1];
+
+        return { id: experiment.id, variant: variant.name, settings: variant.settings };
+      }
+      trafficStart += experiment.traffic;
+    }
+
+    return null;
+  }
+
+  /**
+   * Express middleware that sets req.experiment from the x-session-id header
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      // Sessions that opted out of usage analytics send no ID and always get the defaults
+      req.experiment = this.assign(req.headers['x-session-id']);
+      next();
+    };
+  }
+
+  /**
+   * Running experiments without their loaded settings
+   * @returns {object[]} { id, description, traffic, variants: [{ name, weight }] }
+   */
+  list() {
+    return this.experiments.map(experiment => ({
+      id: experiment.id,
+      description: experiment.description,
+      traffic: experiment.traffic,
+      variants: experiment.variants.map(variant => ({ name: variant.name, weight: variant.weight }))
+    }));
+  }
+}
+
+module.exports = ExperimentService;
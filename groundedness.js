@@ -0,0 +1,199 @@
+/**
+ * Answer Groundedness Checker for GAIG PDF Website
+ *
+ * Validates a generated answer against the search results it was generated from.
+ * The system prompt forbids external knowledge and requires full-title citations;
+ * this checks that every cited title was in the context and that each statement
+ * in the answer is supported by the highlights of the documents it relies on.
+ */
+
+const { CITATION_PATTERN, getTitle, getHighlights, tokenize, overlap } = require('./citations');
+
+// The system prompt tells the model to answer with this sentence when the context is insufficient
+const FALLBACK_ANSWER_PATTERN = /cannot find sufficient information in the provided search results/i;
+
+// Share of a sentence's content words that must appear in its evidence
+const SUPPORT_THRESHOLD = 0.5;
+
+// Share of sentences that must be supported for a partially grounded verdict
+const PARTIAL_SUPPORT_RATIO = 0.5;
+
+// Sentences with fewer content words are connectives or headings, not claims
+const MIN_CLAIM_WORDS = 3;
+
+// Common words that would otherwise match almost any excerpt
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'these', 'those',
+  'from', 'has', 'have', 'had', 'not', 'but', 'its', 'their', 'they', 'which', 'who',
+  'will', 'would', 'can', 'could', 'may', 'also', 'such', 'been', 'being', 'into',
+  'than', 'then', 'there', 'about', 'other', 'any', 'all', 'each', 'more', 'most',
+  'source', 'according', 'document', 'section', 'provided', 'information'
+]);
+
+/**
+ * Content words of a piece of text
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Normalized words without stop words
+ */
+function contentWords(text) {
+  const words = tokenize(text);
+  STOP_WORDS.forEach(word => words.delete(word));
+  return words;
+}
+
+/**
+ * Numbers mentioned in a piece of text
+ * @param {string} text - Text to scan
+ * @returns {string[]} Numbers without thousands separators, e.g. "50000000" or "2.5"
+ */
+function extractNumbers(text) {
+  return ((text || '').replace(/<[^>]+>/g, ' ').match(/\d[\d,]*(?:\.\d+)?/g) || [])
+    .map(number => number.replace(/,/g, '').replace(/\.0+$/, ''));
+}
+
+/**
+ * Split an answer into sentences, keeping each citation with the sentence it follows
+ * @param {string} answer - Generated answer text
+ * @returns {object[]} Sentences ({ text, claim, citationIndexes }) in order of appearance
+ */
+function splitSentences(answer) {
+  const sentences = [];
+  let citationCount = 0;
+
+  answer.split(/\n+/).forEach(line => {
+    const isHeading = /^\s*#/.test(line);
+    const text = line
+      .replace(/^\s*(?:#+|[-*+]|\d+\.)\s+/, '')
+      .replace(/[*_`>]/g, '')
+      .trim();
+    if (!text) return;
+
+    text.split(/(?<=[.!?])\s+/).forEach(piece => {
+      const citationIndexes = [];
+      CITATION_PATTERN.lastIndex = 0;
+      while (CITATION_PATTERN.exec(piece) !== null) {
+        citationIndexes.push(citationCount++);
+      }
+
+      const claim = piece.replace(CITATION_PATTERN, ' ').trim();
+      const previous = sentences[sentences.length - 1];
+
+      // A citation written after the full stop belongs to the sentence before it
+      if (!/[a-z0-9]/i.test(claim) && previous && !previous.isHeading) {
+        previous.text += ` ${piece}`;
+        previous.citationIndexes.push(...citationIndexes);
+        return;
+      }
+
+      sentences.push({ text: piece, claim, citationIndexes, isHeading });
+    });
+  });
+
+  return sentences;
+}
+
+/**
+ * Score how well a sentence is supported by a set of documents
+ * @param {object} sentence - Sentence from splitSentences
+ * @param {object[]} documents - Evidence documents ({ words, numbers })
+ * @returns {object} Best support score and the numbers no document contains
+ */
+function scoreSentence(sentence, documents) {
+  const words = contentWords(sentence.claim);
+  const numbers = extractNumbers(sentence.claim);
+  let best = { support: 0, missingNumbers: numbers };
+
+  documents.forEach(document => {
+    const support = overlap(words, document.words);
+    const missingNumbers = numbers.filter(number => !document.numbers.has(number));
+    if (missingNumbers.length < best.missingNumbers.length ||
+        (missingNumbers.length === best.missingNumbers.length && support > best.support)) {
+      best = { support, missingNumbers };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Check an answer against the search results used as its context
+ * @param {string} answer - Generated answer text
+ * @param {object[]} results - Search results used as context ({ id, source, highlight })
+ * @param {object[]} citations - Citations from extractCitations
+ * @param {object} options - { supportThreshold }
+ * @returns {object} Groundedness report with a verdict of grounded, partially_grounded, ungrounded or no_answer
+ */
+function checkGroundedness(answer, results, citations, options = {}) {
+  const { supportThreshold = SUPPORT_THRESHOLD } = options;
+  const report = {
+    verdict: 'no_answer',
+    support_ratio: null,
+    sentence_count: 0,
+    supported_sentence_count: 0,
+    unsupported_sentences: [],
+    unknown_citations: citations
+      .filter(citation => !citation.document_id)
+      .map(citation => ({ index: citation.index, text: citation.text }))
+  };
+
+  if (!answer || !answer.trim() || FALLBACK_ANSWER_PATTERN.test(answer)) {
+    return report;
+  }
+
+  // Evidence is the highlighted text of each document, the only content the LLM was given
+  const documents = new Map();
+  results
+    .filter(result => getHighlights(result).length > 0)
+    .forEach(result => {
+      const text = `${getTitle(result)} ${getHighlights(result).join(' ')}`;
+      documents.set(result.id, { words: contentWords(text), numbers: new Set(extractNumbers(text)) });
+    });
+
+  splitSentences(answer).forEach(sentence => {
+    if (sentence.isHeading || /:$/.test(sentence.claim) || contentWords(sentence.claim).size < MIN_CLAIM_WORDS) {
+      return;
+    }
+
+    // A cited sentence must be supported by the documents it cites
+    const citedIds = sentence.citationIndexes
+      .map(index => citations[index]?.document_id)
+      .filter(id => id && documents.has(id));
+    const evidence = citedIds.length > 0
+      ? citedIds.map(id => documents.get(id))
+      : [...documents.values()];
+
+    const { support, missingNumbers } = scoreSentence(sentence, evidence);
+    report.sentence_count++;
+
+    if (support >= supportThreshold && missingNumbers.length === 0) {
+      report.supported_sentence_count++;
+    } else {
+      report.unsupported_sentences.push({
+        index: report.sentence_count - 1,
+        text: sentence.text,
+        support: Math.round(support * 100) / 100,
+        missing_numbers: missingNumbers
+      });
+    }
+  });
+
+  report.support_ratio = report.sentence_count > 0
+    ? Math.round((report.supported_sentence_count / report.sentence_count) * 100) / 100
+    : 1;
+
+  if (report.unsupported_sentences.length === 0 && report.unknown_citations.length === 0) {
+    report.verdict = 'grounded';
+  } else if (report.support_ratio >= PARTIAL_SUPPORT_RATIO) {
+    report.verdict = 'partially_grounded';
+  } else {
+    report.verdict = 'ungrounded';
+  }
+
+  return report;
+}
+
+module.exports = {
+  FALLBACK_ANSWER_PATTERN,
+  SUPPORT_THRESHOLD,
+  checkGroundedness
+};
@@ -0,0 +1,408 @@
+/**
+ * Document Ingestion for GAIG PDF Website
+ *
+ * Indexes PDF and DOCX files into INDEX_NAME through an ingest pipeline that extracts
+ * their text and metadata with the attachment processor. The text is copied to the
+ * retrieval model's semantic_text field (RETRIEVAL_FIELD, semantic_content by default),
+ * which chunks it and runs the model's inference endpoint. PDFs are chunked here instead, page by page, so results can show the page
+ * of each highlight. Used by the upload route and by elasticsearch/ingest.js for folders.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractPdfPages, chunkPages, chunkKey } = require('./page-chunks');
+
+const MAPPING_FILE = path.join(__dirname, 'elasticsearch', 'documents-index-mapping.json');
+const PIPELINE_FILE = path.join(__dirname, 'elasticsearch', 'document-ingest-pipeline.json');
+// Semantic field the mapping and pipeline files name; written to the retrieval model's field instead
+const DEFAULT_SEMANTIC_FIELD = 'semantic_content';
+
+// Supported files, recognised by their extension and checked by their first bytes
+const SUPPORTED_TYPES = {
+  '.pdf': {
+    contentType: 'application/pdf',
+    signature: Buffer.from('%PDF-')
+  },
+  '.docx': {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  }
+};
+
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+// Bulk requests are split so base64 file data stays well under http.max_content_length
+const BULK_MAX_BYTES = 20 * 1024 * 1024;
+const BULK_MAX_FILES = 10;
+// Added to indices that already exist, so older indices can store page-chunked PDFs and sources
+const ADDED_FIELDS = ['source', 'has_original', 'page_count', 'chunk_pages'];
+
+/**
+ * Stable document ID for a file, so indexing it again replaces the earlier copy. Files from
+ * different sources never share an ID, even with the same path.
+ * @param {string} sourcePath - File path relative to the ingested folder, or the uploaded filename
+ * @param {string} source - Namespace of the files: an upload's own ID or the ingested folder's source name
+ * @returns {string} Document ID
+ */
+function documentId(sourcePath, source = '') {
+  const normalizedPath = sourcePath.split(path.sep).join('/');
+  return crypto.createHash('sha1').update(source ? `${source}:${normalizedPath}` : normalizedPath).digest('hex');
+}
+
+/**
+ * Hash of a file's contents, stored on its document to tell revised files apart
+ * @param {Buffer} data - File contents
+ * @returns {string} SHA-256 hex digest
+ */
+function contentHash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Whether a filename has a supported extension
+ * @param {string} filename - Filename
+ * @returns {boolean} True for PDF and DOCX files
+ */
+function isSupportedFile(filename) {
+  return Boolean(SUPPORTED_TYPES[path.extname(filename).toLowerCase()]);
+}
+
+/**
+ * List the supported files in a folder and its subfolders
+ * @param {string} folder - Folder to scan
+ * @returns {string[]} Paths relative to the folder, sorted
+ */
+function listSupportedFiles(folder) {
+  const files = [];
+
+  const scan = relativeDir => {
+    fs.readdirSync(path.join(folder, relativeDir), { withFileTypes: true }).forEach(entry => {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.name.startsWith('.')) return;
+      if (entry.isDirectory()) {
+        scan(relativePath);
+      } else if (entry.isFile() && isSupportedFile(entry.name)) {
+        files.push(relativePath);
+      }
+    });
+  };
+
+  scan('');
+  return files.sort();
+}
+
+class IngestionService {
+  /**
+   * @param {object} client - Elasticsearch client
+   * @param {string} indexName - Index documents are written to
+   * @param {object} options - Ingestion options
+   * @param {string} options.pipelineId - Ingest pipeline ID
+   * @param {object} options.retrievalModel - Retrieval model whose field and inference endpoint documents are indexed with
+   * @param {number} options.maxFileBytes - Largest accepted file
+   * @param {object} options.documentStore - Where the original files are kept for the viewer
+   */
+  constructor(client, indexName, options = {}) {
+    this.client = client;
+    this.indexName = indexName;
+    this.pipelineId = options.pipelineId || 'gaig-document-ingest';
+    this.retrievalModel = options.retrievalModel || null;
+    this.semanticField = this.retrievalModel?.field || DEFAULT_SEMANTIC_FIELD;
+    this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+    this.documentStore = options.documentStore || null;
+  }
+
+  /**
+   * Index mapping, with the retrieval model's field as the semantic_text field, using the
+   * model's inference endpoint
+   * @returns {object} Index settings and mappings
+   */
+  getIndexMapping() {
+    const mapping = JSON.parse(fs.readFileSync(MAPPING_FILE, 'utf8'));
+    const model = this.retrievalModel;
+    const properties = mapping.mappings.properties;
+
+    if (this.semanticField !== DEFAULT_SEMANTIC_FIELD && !properties[this.semanticField]) {
+      properties[this.semanticField] = properties[DEFAULT_SEMANTIC_FIELD];
+      delete properties[DEFAULT_SEMANTIC_FIELD];
+    }
+
+    // Documents must be embedded with the model that searches them
+    if (model?.inferenceId && mapping.mappings.properties[model.field]?.type === 'semantic_text') {
+      mapping.mappings.properties[model.field].inference_id = model.inferenceId;
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Ingest pipeline, copying the extracted text to the retrieval model's field
+   * @returns {object} Pipeline definition
+   */
+  getPipeline() {
+    const pipeline = JSON.parse(fs.readFileSync(PIPELINE_FILE, 'utf8'));
+    pipeline.processors.forEach(processor => {
+      if (processor.set?.field === DEFAULT_SEMANTIC_FIELD) {
+        processor.set.field = this.semanticField;
+      }
+    });
+    return pipeline;
+  }
+
+  /**
+   * Create or update the ingest pipeline, and create the index when it does not exist
+   * or add the page fields to it when it does
+   * @returns {Promise<object>} { indexCreated }
+   */
+  async setup() {
+    await this.client.ingest.putPipeline({
+      id: this.pipelineId,
+      body: this.getPipeline()
+    });
+
+    const mapping = this.getIndexMapping();
+    if (await this.client.indices.exists({ index: this.indexName })) {
+      // Indices created before page chunking would map every chunk_pages key as its own field
+      const properties = Object.fromEntries(ADDED_FIELDS.map(field => [field, mapping.mappings.properties[field]]));
+      await this.client.indices.putMapping({ index: this.indexName, body: { properties } });
+      return { indexCreated: false };
+    }
+
+    await this.client.indices.create({ index: this.indexName, body: mapping });
+    return { indexCreated: true };
+  }
+
+  /**
+   * Check a file before sending it to Elasticsearch
+   * @param {string} filename - Filename
+   * @param {Buffer} data - File contents
+   * @returns {string|null} Why the file cannot be indexed, or null
+   */
+  validateFile(filename, data) {
+    const type = SUPPORTED_TYPES[path.extname(filename).toLowerCase()];
+    if (!type) {
+      return `Unsupported file type (expected ${Object.keys(SUPPORTED_TYPES).join(' or ')})`;
+    }
+    if (!data || data.length === 0) {
+      return 'File is empty';
+    }
+    if (data.length > this.maxFileBytes) {
+      return `File is larger than ${Math.round(this.maxFileBytes / 1024 / 1024)} MB`;
+    }
+    if (!data.subarray(0, type.signature.length).equals(type.signature)) {
+      return `File is not a valid ${path.extname(filename).slice(1).toUpperCase()} file`;
+    }
+    return null;
+  }
+
+  /**
+   * Index files through the ingest pipeline
+   * @param {Iterable<object>} files - { sourcePath, data } with the file contents as a Buffer; a
+   *   generator keeps only one bulk request's files in memory
+   * @param {object} options - { accessGroups: groups allowed to see the files, source: namespace
+   *   of the files' IDs, uploadedBy: sign-in subject of the uploader, onResult: called with each file's result as soon as it is known }
+   * @returns {Promise<object[]>} Per file: { filename, source_path, id, status: 'indexed' | 'failed', error }
+   */
+  async indexFiles(files, options = {}) {
+    const results = [];
+    const report = result => {
+      results.push(result);
+      if (options.onResult) options.onResult(result);
+    };
+    let batch = [];
+    let batchBytes = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      try {
+        (await this.bulkIndex(batch, options)).forEach(report);
+      } catch (error) {
+        // A failed request fails its files only; the next batch is still sent
+        batch.forEach(file => report({
+          filename: path.basename(file.sourcePath),
+          source_path: file.sourcePath,
+          id: null,
+          status: 'failed',
+          error: error.message
+        }));
+      }
+      batch = [];
+      batchBytes = 0;
+    };
+
+    for (const file of files) {
+      const filename = path.basename(file.sourcePath);
+      const error = this.validateFile(filename, file.data);
+      if (error) {
+        report({ filename, source_path: file.sourcePath, id: null, status: 'failed', error });
+        continue;
+      }
+
+      // Base64 grows the file by a third
+      const bytes = Math.ceil(file.data.length * 4 / 3);
+      if (batch.length >= BULK_MAX_FILES || (batch.length > 0 && batchBytes + bytes > BULK_MAX_BYTES)) {
+        await flush();
+      }
+      batch.push(file);
+      batchBytes += bytes;
+    }
+    await flush();
+
+    return results;
+  }
+
+  /**
+   * Build the document sent to the ingest pipeline for a file, and store its original
+   * @param {object} file - { sourcePath, data }
+   * @param {object} options - { accessGroups, source, uploadedBy }
+   * @returns {Promise<object>} Document
+   */
+  async buildDocument(file, options) {
+    const accessGroups = (options.accessGroups || []).filter(Boolean);
+    const id = documentId(file.sourcePath, options.source);
+    const document = {
+      filename: path.basename(file.sourcePath),
+      source_path: file.sourcePath.split(path.sep).join('/'),
+      content_hash: contentHash(file.data),
+      data: file.data.toString('base64')
+    };
+    // Files without access groups are visible to everyone
+    if (accessGroups.length > 0) document.access_groups = accessGroups;
+    if (options.source) document.source = options.source;
+    if (options.uploadedBy) document.uploaded_by = options.uploadedBy;
+
+    if (path.extname(file.sourcePath).toLowerCase() === '.pdf') {
+      try {
+        const pages = await extractPdfPages(file.data);
+        const chunks = chunkPages(pages);
+        // Scanned PDFs without a text layer are left to the pipeline
+        if (chunks.length > 0) {
+          document[this.semanticField] = chunks.map(chunk => chunk.text);
+          document.chunk_pages = Object.fromEntries(chunks.map(chunk => [chunkKey(chunk.text), chunk.page]));
+          document.page_count = pages.length;
+        }
+      } catch (error) {
+        // The attachment processor may still read what pdf.js cannot; the pipeline then chunks the text without pages
+        console.warn(`⚠️  Could not read the pages of ${document.source_path}: ${error.message}`);
+      }
+    }
+
+    // The original is stored by bulkIndex once the document is indexed
+    if (this.documentStore) {
+      document.has_original = true;
+    }
+
+    return document;
+  }
+
+  /**
+   * Send one bulk request and report each file's outcome. Originals are stored only for the
+   * files that were indexed, so the store never keeps files without a document.
+   * @param {object[]} files - { sourcePath, data }
+   * @param {object} options - { accessGroups, source, uploadedBy }
+   * @returns {Promise<object[]>} Per file results
+   */
+  async bulkIndex(files, options) {
+    const results = [];
+    const sent = [];
+    const operations = [];
+
+    for (const file of files) {
+      const result = {
+        filename: path.basename(file.sourcePath),
+        source_path: file.sourcePath,
+        id: documentId(file.sourcePath, options.source),
+        status: 'failed',
+        error: null
+      };
+      results.push(result);
+
+      try {
+        const document = await this.buildDocument(file, options);
+        operations.push({ index: { _index: this.indexName, _id: result.id } }, document);
+        sent.push({ result, file });
+      } catch (error) {
+        result.id = null;
+        result.error = error.message;
+      }
+    }
+
+    if (sent.length === 0) return results;
+
+    const response = await this.client.bulk({
+      pipeline: this.pipelineId,
+      refresh: 'wait_for',
+      body: operations
+    });
+
+    response.items.forEach((item, index) => {
+      const outcome = item.index;
+      const { result } = sent[index];
+      result.id = outcome._id;
+      result.status = outcome.error ? 'failed' : 'indexed';
+      result.error = outcome.error ? `${outcome.error.type}: ${outcome.error.reason}` : null;
+    });
+
+    if (this.documentStore) {
+      for (const { result, file } of sent.filter(({ result }) => result.status === 'indexed')) {
+        try {
+          await this.documentStore.save(result.id, file.data);
+        } catch (error) {
+          // Searchable without its original, like documents indexed before the store existed;
+          // failed, so the file is indexed again on the next run
+          result.status = 'failed';
+          result.error = `Original could not be stored: ${error.message}`;
+          await this.client.update({
+            index: this.indexName,
+            id: result.id,
+            refresh: 'wait_for',
+            body: { doc: { has_original: false } }
+          }).catch(updateError => console.warn(`⚠️  Could not clear has_original of ${result.id}: ${updateError.message}`));
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove documents from the index
+   * @param {string[]} ids - Document IDs
+   * @returns {Promise<object[]>} Per document: { id, status: 'deleted' | 'not_found' | 'failed', error }
+   */
+  async deleteDocuments(ids) {
+    if (ids.length === 0) return [];
+
+    const response = await this.client.bulk({
+      refresh: 'wait_for',
+      body: ids.map(id => ({ delete: { _index: this.indexName, _id: id } }))
+    });
+
+    const results = response.items.map(item => {
+      const result = item.delete;
+      if (result.error) {
+        return { id: result._id, status: 'failed', error: `${result.error.type}: ${result.error.reason}` };
+      }
+      return { id: result._id, status: result.result === 'not_found' ? 'not_found' : 'deleted', error: null };
+    });
+
+    if (this.documentStore) {
+      for (const result of results.filter(result => result.status !== 'failed')) {
+        try {
+          await this.documentStore.delete(result.id);
+        } catch (error) {
+          // The document is gone from the index, so the original can no longer be served
+          console.warn(`⚠️  Could not remove the original of ${result.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+IngestionService.documentId = documentId;
+IngestionService.contentHash = contentHash;
+IngestionService.listSupportedFiles = listSupportedFiles;
+
+module.exports = IngestionService;
+module.exports.SUPPORTED_TYPES = SUPPORTED_TYPES;
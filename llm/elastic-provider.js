@@ -0,0 +1,50 @@
+/**
+ * Elasticsearch Inference LLM Provider
+ *
+ * Streams chat completions through an Elasticsearch chat_completion inference
+ * endpoint, which answers with the same server-sent events as the OpenAI API.
+ * The model and its credentials are configured on the inference endpoint.
+ */
+
+const OpenAiCompatibleProvider = require('./openai-provider');
+
+class ElasticInferenceProvider extends OpenAiCompatibleProvider {
+  /**
+   * @param {string} name - Provider name used in configuration and telemetry
+   * @param {object} options - Provider options
+   * @param {string} options.esUrl - Elasticsearch URL
+   * @param {string} options.apiKey - Elasticsearch API key
+   * @param {string} options.inferenceId - chat_completion inference endpoint ID
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   */
+  constructor(name, options = {}) {
+    super(name, { ...options, url: options.esUrl });
+    this.type = 'elastic';
+    this.inferenceId = options.inferenceId || '.rainbow-sprinkles-elastic';
+  }
+
+  validate() {
+    if (!this.url || !this.apiKey) {
+      throw new Error(`LLM provider "${this.name}" needs ES_URL and API_KEY`);
+    }
+  }
+
+  getEndpoint() {
+    return `${this.url}/_inference/chat_completion/${encodeURIComponent(this.inferenceId)}/_stream`;
+  }
+
+  getHeaders() {
+    return { 'Authorization': `ApiKey ${this.apiKey}` };
+  }
+
+  buildRequestBody(messages) {
+    const body = { messages };
+    if (this.model) body.model = this.model;
+    if (this.temperature !== undefined) body.temperature = this.temperature;
+    if (this.maxTokens !== undefined) body.max_completion_tokens = this.maxTokens;
+    return body;
+  }
+}
+
+module.exports = ElasticInferenceProvider;
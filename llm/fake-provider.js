@@ -0,0 +1,67 @@
+/**
+ * Fake LLM Provider
+ *
+ * Streams a canned answer without calling any model, so answer generation,
+ * citations, groundedness checks and telemetry can be tested offline. Unless a
+ * fixed response is configured, it answers with the first sentence of the first
+ * document in the prompt's search results context and cites that document.
+ */
+
+const FALLBACK_ANSWER = 'I cannot find sufficient information in the provided search results to answer this question. Please try refining your search terms or searching for more specific topics.';
+
+class FakeLlmProvider {
+  /**
+   * @param {string} name - Provider name used in configuration and telemetry
+   * @param {object} options - Provider options
+   * @param {string} options.response - Fixed response text (optional)
+   * @param {number} options.chunkSize - Characters per streamed delta
+   * @param {number} options.delayMs - Delay between deltas
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = 'fake';
+    this.response = options.response;
+    this.chunkSize = options.chunkSize || 20;
+    this.delayMs = options.delayMs || 0;
+  }
+
+  validate() {}
+
+  /**
+   * Answer from the first document of the search results context in the last message
+   * @param {object[]} messages - Chat messages ({ role, content })
+   * @returns {string} Answer text
+   */
+  buildResponse(messages) {
+    if (this.response) return this.response;
+
+    const prompt = messages[messages.length - 1]?.content || '';
+    const match = prompt.match(/Document: "([^"]+)"\nContent: ([^\n]+)/);
+    if (!match) return FALLBACK_ANSWER;
+
+    const [, title, content] = match;
+    const sentence = content.replace(/<[^>]+>/g, '').match(/^.*?[.!?](?=\s|$)/)?.[0] || content;
+    return `According to the search results: ${sentence.trim()} *(Source: ${title}, Search Results)*`;
+  }
+
+  /**
+   * Stream the canned answer, passing each delta to onContent
+   * @param {object[]} messages - Chat messages ({ role, content })
+   * @param {Function} onContent - Called with each piece of generated text
+   * @returns {Promise<string>} Full generated text
+   */
+  async streamChat(messages, onContent) {
+    const answer = this.buildResponse(messages);
+
+    for (let i = 0; i < answer.length; i += this.chunkSize) {
+      if (this.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      onContent(answer.substring(i, i + this.chunkSize));
+    }
+
+    return answer;
+  }
+}
+
+module.exports = FakeLlmProvider;
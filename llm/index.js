@@ -0,0 +1,180 @@
+/**
+ * LLM Provider Layer for GAIG PDF Website
+ *
+ * Answers and query rewrites are generated through named providers:
+ * - elastic: an Elasticsearch chat_completion inference endpoint (default)
+ * - openai: any OpenAI-compatible API
+ * - local: a self-hosted OpenAI-compatible server such as Ollama or llama.cpp
+ * - fake: canned answers for tests
+ *
+ * A single provider is configured with LLM_* environment variables. Several named
+ * providers, each with its own model parameters, are configured in LLM_PROVIDERS_FILE.
+ * Answers drawing on access-restricted documents can be kept on a self-hosted model
+ * by naming it as the sensitive provider.
+ */
+
+const fs = require('fs');
+const ElasticInferenceProvider = require('./elastic-provider');
+const OpenAiCompatibleProvider = require('./openai-provider');
+const FakeLlmProvider = require('./fake-provider');
+
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1';
+const DEFAULT_OPENAI_URL = 'https://api.openai.com/v1';
+
+/**
+ * Parse an optional number from a provider's configuration
+ * @param {object} config - Provider configuration
+ * @param {string} key - Option to read
+ * @param {string} name - Provider name, for error messages
+ * @returns {number|undefined} Number, or undefined when not set
+ */
+function optionalNumber(config, key, name) {
+  const value = config[key];
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new Error(`LLM provider "${name}" has an invalid ${key} "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Create an LLM provider
+ * @param {string} name - Provider name
+ * @param {object} config - { type, url, api_key_env, model, temperature, max_tokens, inference_id, response }
+ * @param {object} env - Environment variables
+ * @returns {object} Provider instance
+ */
+function createLlmProvider(name, config = {}, env = process.env) {
+  const common = {
+    model: config.model,
+    temperature: optionalNumber(config, 'temperature', name),
+    maxTokens: optionalNumber(config, 'max_tokens', name)
+  };
+  // Keys come from the environment so they are never written to the providers file
+  const apiKey = config.api_key_env ? env[config.api_key_env] : undefined;
+
+  let provider;
+  switch (config.type) {
+    case 'elastic':
+    case undefined:
+      provider = new ElasticInferenceProvider(name, {
+        ...common,
+        esUrl: config.url || env.ES_URL,
+        apiKey: apiKey || (env.API_KEY || '').replace(/^your_/, ''),
+        inferenceId: config.inference_id
+      });
+      break;
+    case 'openai':
+      provider = new OpenAiCompatibleProvider(name, { ...common, url: config.url || DEFAULT_OPENAI_URL, apiKey });
+      break;
+    case 'local':
+      provider = new OpenAiCompatibleProvider(name, { ...common, type: 'local', url: config.url || DEFAULT_LOCAL_URL, apiKey });
+      break;
+    case 'fake':
+      provider = new FakeLlmProvider(name, { response: config.response, chunkSize: config.chunk_size });
+      break;
+    default:
+      throw new Error(`Unknown type "${config.type}" for LLM provider "${name}"`);
+  }
+
+  provider.validate();
+  return provider;
+}
+
+class LlmService {
+  /**
+   * @param {object} providers - Provider instances by name
+   * @param {object} options - Provider selection
+   * @param {string} options.defaultProvider - Provider used unless another is chosen
+   * @param {string} options.sensitiveProvider - Provider for answers from access-restricted documents (optional)
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.defaultProvider = options.defaultProvider;
+    this.sensitiveProvider = options.sensitiveProvider || null;
+
+    [this.defaultProvider, this.sensitiveProvider].filter(Boolean).forEach(providerName => {
+      if (!this.providers[providerName]) {
+        throw new Error(`LLM provider "${providerName}" is not configured`);
+      }
+    });
+  }
+
+  /**
+   * Configure providers from LLM_PROVIDERS_FILE, or a single provider from LLM_* variables
+   * @param {object} env - Environment variables
+   * @returns {LlmService} LLM service
+   */
+  static fromEnv(env = process.env) {
+    if (env.LLM_PROVIDERS_FILE) {
+      const config = JSON.parse(fs.readFileSync(env.LLM_PROVIDERS_FILE, 'utf8'));
+      const providers = {};
+      Object.entries(config.providers || {}).forEach(([name, providerConfig]) => {
+        providers[name] = createLlmProvider(name, providerConfig, env);
+      });
+
+      return new LlmService(providers, {
+        defaultProvider: config.default_provider || Object.keys(providers)[0],
+        sensitiveProvider: config.sensitive_provider
+      });
+    }
+
+    const type = env.LLM_PROVIDER || 'elastic';
+    const provider = createLlmProvider(type, {
+      type,
+      url: env.LLM_URL,
+      api_key_env: env.LLM_API_KEY ? 'LLM_API_KEY' : undefined,
+      model: env.LLM_MODEL,
+      temperature: env.LLM_TEMPERATURE,
+      max_tokens: env.LLM_MAX_TOKENS,
+      inference_id: env.LLM_INFERENCE_ID,
+      response: env.LLM_FAKE_RESPONSE
+    }, env);
+
+    return new LlmService({ [type]: provider }, { defaultProvider: type });
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {object} Provider
+   */
+  get(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`LLM provider "${name}" is not configured`);
+    }
+    return provider;
+  }
+
+  /**
+   * Choose the provider for a request. Sensitive content always goes to the sensitive
+   * provider when one is configured, whatever else was asked for.
+   * @param {object} options - { preferred: provider name, sensitive: whether restricted content is involved }
+   * @returns {object} Provider
+   */
+  select({ preferred = null, sensitive = false } = {}) {
+    if (sensitive && this.sensitiveProvider) {
+      return this.get(this.sensitiveProvider);
+    }
+    return this.get(preferred || this.defaultProvider);
+  }
+
+  /**
+   * Configured providers without their credentials
+   * @returns {object[]} { name, type, model, default, sensitive }
+   */
+  list() {
+    return Object.values(this.providers).map(provider => ({
+      name: provider.name,
+      type: provider.type,
+      model: provider.model || provider.inferenceId || null,
+      default: provider.name === this.defaultProvider,
+      sensitive: provider.name === this.sensitiveProvider
+    }));
+  }
+}
+
+module.exports = LlmService;
+module.exports.createLlmProvider = createLlmProvider;
@@ -0,0 +1,128 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ *
+ * Streams chat completions from any endpoint that speaks the OpenAI
+ * /chat/completions API with server-sent events: OpenAI itself, Azure-style
+ * gateways, and self-hosted servers such as Ollama or the llama.cpp server.
+ */
+
+class OpenAiCompatibleProvider {
+  /**
+   * @param {string} name - Provider name used in configuration and telemetry
+   * @param {object} options - Provider options
+   * @param {string} options.url - Base URL of the API, e.g. https://api.openai.com/v1
+   * @param {string} options.apiKey - Bearer token (optional for self-hosted servers)
+   * @param {string} options.model - Model name
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {string} options.type - Provider type reported in telemetry ("openai" or "local")
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.type = options.type || 'openai';
+    this.url = options.url ? options.url.replace(/\/+$/, '') : null;
+    this.apiKey = options.apiKey;
+    this.model = options.model;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+  }
+
+  /**
+   * Check the provider's configuration
+   * @throws {Error} When a required option is missing
+   */
+  validate() {
+    if (!this.url) {
+      throw new Error(`LLM provider "${this.name}" needs a url`);
+    }
+    if (!this.model) {
+      throw new Error(`LLM provider "${this.name}" needs a model`);
+    }
+  }
+
+  getEndpoint() {
+    return `${this.url}/chat/completions`;
+  }
+
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Request body for a streamed chat completion
+   * @param {object[]} messages - Chat messages ({ role, content })
+   * @returns {object} Request body
+   */
+  buildRequestBody(messages) {
+    const body = { model: this.model, messages, stream: true };
+    if (this.temperature !== undefined) body.temperature = this.temperature;
+    if (this.maxTokens !== undefined) body.max_tokens = this.maxTokens;
+    return body;
+  }
+
+  /**
+   * Stream a chat completion, passing each content delta to onContent
+   * @param {object[]} messages - Chat messages ({ role, content })
+   * @param {Function} onContent - Called with each piece of generated text
+   * @returns {Promise<string>} Full generated text
+   */
+  async streamChat(messages, onContent) {
+    const llmResponse = await fetch(this.getEndpoint(), {
+      method: 'POST',
+      headers: {
+        ...this.getHeaders(),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.buildRequestBody(messages))
+    });
+
+    if (!llmResponse.ok) {
+      throw new Error(`LLM request failed (${this.name}): ${llmResponse.status}`);
+    }
+
+    // Stream processing with buffer management
+    const reader = llmResponse.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let answer = '';
+
+    console.log(`Starting to process LLM stream (${this.name})...`);
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        console.log('LLM stream complete. Total content sent:', answer.length, 'characters');
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.trim() || !line.startsWith('data:')) {
+          continue;
+        }
+
+        const jsonStr = line.substring(5).trim();
+        if (jsonStr === '[DONE]') {
+          continue;
+        }
+
+        try {
+          const content = JSON.parse(jsonStr).choices?.[0]?.delta?.content;
+          if (content) {
+            answer += content;
+            onContent(content);
+          }
+        } catch (parseError) {
+          console.log('JSON parse error:', parseError.message, 'for line:', jsonStr);
+        }
+      }
+    }
+
+    return answer;
+  }
+}
+
+module.exports = OpenAiCompatibleProvider;
@@ -0,0 +1,102 @@
+/**
+ * Page-aware chunking for GAIG PDF Website
+ *
+ * PDFs are split into chunks at ingest time, each within a single page, and the chunks
+ * are sent as the semantic_content values. Each chunk is short enough for the
+ * semantic_text chunker to keep it whole, so a semantic highlight is exactly one chunk
+ * and its page can be looked up in the document's chunk_pages map by chunkKey.
+ */
+
+const crypto = require('crypto');
+
+// Below the 250-word max_chunk_size in documents-index-mapping.json, which counts words
+// a little differently, so a chunk is never split again
+const MAX_CHUNK_WORDS = 200;
+
+let pdfjs = null;
+
+/**
+ * Extract the text of each page of a PDF
+ * @param {Buffer} data - PDF file contents
+ * @returns {Promise<string[]>} Page texts, the first page first
+ */
+async function extractPdfPages(data) {
+  // Loaded on first use; pdf.js warns about the optional canvas package it only needs for rendering
+  pdfjs = pdfjs || require('pdfjs-dist/legacy/build/pdf.js');
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      pages.push(textContent.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Split page texts into sentence-aligned chunks that never cross a page
+ * @param {string[]} pages - Page texts, the first page first
+ * @param {number} maxWords - Most words in a chunk
+ * @returns {object[]} { text, page } with 1-based page numbers; blank pages have no chunks
+ */
+function chunkPages(pages, maxWords = MAX_CHUNK_WORDS) {
+  const chunks = [];
+
+  pages.forEach((pageText, index) => {
+    const page = index + 1;
+    let words = [];
+
+    const flush = () => {
+      if (words.length > 0) chunks.push({ text: words.join(' '), page });
+      words = [];
+    };
+
+    normalizeText(pageText).split(/(?<=[.!?])\s+/).forEach(sentence => {
+      const sentenceWords = sentence.split(' ').filter(Boolean);
+      if (words.length > 0 && words.length + sentenceWords.length > maxWords) {
+        flush();
+      }
+      // Sentences longer than a chunk, such as tables, are cut at maxWords
+      while (sentenceWords.length > maxWords) {
+        chunks.push({ text: sentenceWords.splice(0, maxWords).join(' '), page });
+      }
+      words.push(...sentenceWords);
+    });
+    flush();
+  });
+
+  return chunks;
+}
+
+/**
+ * Key of a chunk in a document's chunk_pages map. Whitespace is normalized, so a
+ * highlight fragment gets the same key as the chunk it came from.
+ * @param {string} text - Chunk text or highlight fragment
+ * @returns {string} Short hex key
+ */
+function chunkKey(text) {
+  return crypto.createHash('sha1').update(normalizeText(text)).digest('hex').slice(0, 16);
+}
+
+function normalizeText(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  MAX_CHUNK_WORDS,
+  extractPdfPages,
+  chunkPages,
+  chunkKey
+};
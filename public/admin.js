@@ -0,0 +1,192 @@
+class AnalyticsDashboard {
+    constructor() {
+        this.startDateInput = document.getElementById('statsStartDate');
+        this.endDateInput = document.getElementById('statsEndDate');
+        this.applyBtn = document.getElementById('applyDateRange');
+        this.presetButtons = document.querySelectorAll('.analytics-preset');
+        this.status = document.getElementById('analyticsStatus');
+        this.summary = document.getElementById('analyticsSummary');
+        this.timeline = document.getElementById('eventsTimeline');
+        this.eventTypesChart = document.getElementById('eventTypesChart');
+        this.devicesChart = document.getElementById('devicesChart');
+        this.browsersChart = document.getElementById('browsersChart');
+        this.topQueriesChart = document.getElementById('topQueriesChart');
+
+        this.bindEvents();
+        this.setPreset(30);
+    }
+
+    bindEvents() {
+        this.applyBtn.addEventListener('click', () => this.loadStats());
+
+        this.presetButtons.forEach(button => {
+            button.addEventListener('click', () => this.setPreset(parseInt(button.dataset.days)));
+        });
+    }
+
+    // Select the last `days` days, including today
+    setPreset(days) {
+        const end = new Date();
+        const start = new Date();
+        start.setDate(end.getDate() - (days - 1));
+
+        this.startDateInput.value = this.toDateString(start);
+        this.endDateInput.value = this.toDateString(end);
+
+        this.loadStats();
+    }
+
+    toDateString(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    async loadStats() {
+        const startDate = this.startDateInput.value;
+        const endDate = this.endDateInput.value;
+
+        if (startDate && endDate && startDate > endDate) {
+            this.showStatus('The start date must be on or before the end date.', true);
+            return;
+        }
+
+        // Highlight the preset matching the range, if any
+        this.presetButtons.forEach(button => {
+            const days = parseInt(button.dataset.days);
+            const start = new Date();
+            start.setDate(start.getDate() - (days - 1));
+            button.classList.toggle('active', startDate === this.toDateString(start) && endDate === this.toDateString(new Date()));
+        });
+
+        const params = new URLSearchParams();
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', endDate);
+
+        this.showStatus('Loading usage statistics...');
+
+        try {
+            const response = await apiFetch(`/api/telemetry/stats?${params.toString()}`);
+
+            if (response.status === 403) {
+                this.showStatus('Administrator access is required to view usage analytics.', true);
+                return;
+            }
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+
+            const stats = await response.json();
+            this.renderStats(stats);
+            this.showStatus('');
+        } catch (error) {
+            console.error('Error loading usage statistics:', error);
+            this.showStatus(`Failed to load usage statistics: ${error.message}`, true);
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    renderStats(stats) {
+        const countOf = type => stats.event_types.find(bucket => bucket.key === type)?.doc_count || 0;
+
+        this.renderSummary([
+            { label: 'Total events', value: stats.total_events },
+            { label: 'Unique users', value: stats.unique_users },
+            { label: 'Sessions', value: stats.unique_sessions },
+            { label: 'Searches', value: countOf('query') },
+            { label: 'Answers', value: countOf('answer') },
+            { label: 'Document clicks', value: countOf('click') },
+            { label: 'Related documents shown', value: countOf('recommendation') },
+            { label: 'Related document clicks', value: stats.click_sources?.find(bucket => bucket.key === 'similar')?.doc_count || 0 },
+            { label: 'Citation clicks', value: stats.click_sources?.find(bucket => bucket.key === 'citation')?.doc_count || 0 },
+            { label: 'Spelling suggestions shown', value: stats.spelling_suggestions?.shown || 0 },
+            { label: 'Spelling suggestions accepted', value: stats.spelling_suggestions?.accepted || 0 }
+        ]);
+
+        this.renderTimeline(stats.events_over_time);
+        this.renderBars(this.eventTypesChart, stats.event_types);
+        this.renderBars(this.devicesChart, stats.devices);
+        this.renderBars(this.browsersChart, stats.browsers);
+        this.renderBars(this.topQueriesChart, stats.top_queries);
+    }
+
+    renderSummary(cards) {
+        this.summary.innerHTML = cards.map(card => `
+            <div class="analytics-card">
+                <div class="analytics-card-value">${(card.value || 0).toLocaleString()}</div>
+                <div class="analytics-card-label">${this.escapeHtml(card.label)}</div>
+            </div>
+        `).join('');
+    }
+
+    // Daily event counts as a column chart
+    renderTimeline(buckets) {
+        if (!buckets || buckets.length === 0) {
+            this.timeline.innerHTML = '<div class="facet-loading">No events in this date range</div>';
+            return;
+        }
+
+        const max = Math.max(...buckets.map(bucket => bucket.doc_count), 1);
+        const labelEvery = Math.ceil(buckets.length / 10);
+
+        this.timeline.innerHTML = `
+            <div class="timeline-columns">
+                ${buckets.map((bucket, index) => {
+                    const date = bucket.key_as_string ? bucket.key_as_string.substring(0, 10) : this.toDateString(new Date(bucket.key));
+                    const height = (bucket.doc_count / max) * 100;
+                    return `
+                        <div class="timeline-column" title="${this.escapeHtml(date)}: ${bucket.doc_count.toLocaleString()} events">
+                            <div class="timeline-bar-area">
+                                <div class="timeline-bar" style="height: ${height}%"></div>
+                            </div>
+                            <div class="timeline-label">${index % labelEvery === 0 ? this.escapeHtml(date.substring(5)) : ''}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Terms buckets as horizontal bars
+    renderBars(container, buckets) {
+        if (!buckets || buckets.length === 0) {
+            container.innerHTML = '<div class="facet-loading">No data</div>';
+            return;
+        }
+
+        const max = Math.max(...buckets.map(bucket => bucket.doc_count), 1);
+
+        container.innerHTML = buckets.map(bucket => `
+            <div class="analytics-bar-row">
+                <div class="analytics-bar-label" title="${this.escapeHtml(bucket.key)}">${this.escapeHtml(bucket.key)}</div>
+                <div class="analytics-bar-track">
+                    <div class="analytics-bar" style="width: ${(bucket.doc_count / max) * 100}%"></div>
+                </div>
+                <div class="facet-count">${bucket.doc_count.toLocaleString()}</div>
+            </div>
+        `).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        // Also used inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AnalyticsDashboard();
+    new UserMenu();
+
+    clientTelemetry.bindOptOutToggle(document.getElementById('telemetryOptOut'));
+    clientTelemetry.trackPageAccess();
+
+    console.log('📊 Usage analytics initialized');
+});
@@ -1,30 +1,59 @@
 class KnowledgeSearch {
     constructor() {
         this.searchInput = document.getElementById('searchInput');
+        this.searchSuggestions = document.getElementById('searchSuggestions');
         this.searchBtn = document.getElementById('searchBtn');
         this.resultsContainer = document.getElementById('resultsContainer');
         this.loading = document.getElementById('loading');
         this.answerContainer = document.getElementById('answerContainer');
         this.answerContent = document.getElementById('answerContent');
         this.answerLoading = document.getElementById('answerLoading');
+        this.answerQuestion = document.getElementById('answerQuestion');
+        this.groundednessBadge = document.getElementById('groundednessBadge');
+        this.groundednessDetails = document.getElementById('groundednessDetails');
+        this.conversationThread = document.getElementById('conversationThread');
+        this.followUpForm = document.getElementById('followUpForm');
+        this.followUpInput = document.getElementById('followUpInput');
+        this.followUpBtn = document.getElementById('followUpBtn');
         this.docCountSelect = document.getElementById('docCount');
+        this.retrieverModeSelect = document.getElementById('retrieverMode');
         this.sidebar = document.querySelector('.sidebar');
 
         // Facet containers
         this.authorFacets = document.getElementById('authorFacets');
         this.contentTypeFacets = document.getElementById('contentTypeFacets');
         this.creatorToolFacets = document.getElementById('creatorToolFacets');
+        this.dateFacets = document.getElementById('dateFacets');
+
+        // Date range picker
+        this.dateFieldSelect = document.getElementById('dateField');
+        this.dateFromInput = document.getElementById('dateFrom');
+        this.dateToInput = document.getElementById('dateTo');
+        this.clearDateFilterBtn = document.getElementById('clearDateFilter');
 
         // Selected filters
         this.selectedFilters = {
             author: [],
             content_type: [],
-            creator_tool: []
+            creator_tool: [],
+            date: null
         };
 
         // System prompt will be loaded from server
         this.systemPrompt = '';
 
+        // Structured citations streamed with the current answer
+        this.answerCitations = [];
+
+        // Completed question/answer turns of the current conversation
+        this.conversation = [];
+
+        // Typeahead suggestions shown under the search box
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestTimer = null;
+        this.suggestRequestId = 0;
+
         this.bindEvents();
         this.loadFacets();
         this.loadSystemPrompt();
@@ -36,7 +65,10 @@ class KnowledgeSearch {
         // Track search start time for telemetry
         this.searchStartTime = null;
         this.currentQuery = '';
+        this.currentQueryId = null;
         this.currentResults = [];
+        // Text, find results and paging of the document open in the modal
+        this.documentView = null;
     }
 
     bindEvents() {
@@ -53,35 +85,203 @@ class KnowledgeSearch {
             if (this.searchInput.value.trim() === '') {
                 this.showWelcomeMessage();
                 this.hideAnswer();
+                this.resetConversation();
+            }
+            this.scheduleSuggestions();
+        });
+
+        // Arrow keys move through open suggestions; Enter on one searches it instead of the typed text
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (this.searchSuggestions.hidden) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.suggestions.length;
+                // -1 is the typed text, before the first suggestion
+                this.setActiveSuggestion((this.activeSuggestion + step + count + 2) % (count + 1) - 1);
+            } else if (e.key === 'Enter' && !e.shiftKey && this.activeSuggestion >= 0) {
+                e.preventDefault();
+                this.selectSuggestion(this.suggestions[this.activeSuggestion]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hideSuggestions();
+            }
+        });
+
+        this.searchInput.addEventListener('blur', () => this.hideSuggestions());
+
+        // mousedown rather than click, so the input's blur does not close the list first
+        this.searchSuggestions.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.search-suggestion');
+            if (!item) return;
+
+            e.preventDefault();
+            this.selectSuggestion(this.suggestions[parseInt(item.dataset.index)]);
+        });
+
+        this.followUpBtn.addEventListener('click', () => this.askFollowUp());
+
+        // Date range filter
+        [this.dateFieldSelect, this.dateFromInput, this.dateToInput].forEach(input => {
+            input.addEventListener('change', () => this.updateDateFilter());
+        });
+        this.clearDateFilterBtn.addEventListener('click', () => this.setDateRange('', ''));
+
+        this.followUpInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.askFollowUp();
             }
         });
+
+        // Open the cited excerpt when a citation link in the answer is clicked
+        this.answerContent.addEventListener('click', (e) => {
+            const link = e.target.closest('.source-citation-link');
+            if (!link) return;
+
+            e.preventDefault();
+            this.openCitation(this.answerCitations[parseInt(link.dataset.citationIndex)]);
+        });
+    }
+
+    scheduleSuggestions() {
+        clearTimeout(this.suggestTimer);
+        this.suggestTimer = setTimeout(() => this.loadSuggestions(), 150);
+    }
+
+    async loadSuggestions() {
+        const text = this.searchInput.value.trim();
+        // Answers to older requests are dropped when they arrive after a newer one
+        const requestId = ++this.suggestRequestId;
+
+        if (text.length < 2) {
+            this.hideSuggestions();
+            return;
+        }
+
+        try {
+            const response = await apiFetch(`/api/suggest?q=${encodeURIComponent(text)}`);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+            const data = await response.json();
+            if (requestId !== this.suggestRequestId || document.activeElement !== this.searchInput) return;
+
+            this.renderSuggestions(data.suggestions || []);
+        } catch (error) {
+            console.error('Suggestion error:', error);
+            this.hideSuggestions();
+        }
     }
 
-    async performSearch() {
+    renderSuggestions(suggestions) {
+        this.suggestions = suggestions;
+        this.activeSuggestion = -1;
+
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const typeLabels = { title: 'Title', author: 'Author' };
+        this.searchSuggestions.innerHTML = suggestions.map((suggestion, index) => {
+            const label = typeLabels[suggestion.type] || (suggestion.mine ? 'Recent search' : 'Popular search');
+            return `
+                <li class="search-suggestion" id="searchSuggestion${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="search-suggestion-text">${this.escapeHtml(suggestion.text)}</span>
+                    <span class="search-suggestion-type">${label}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.searchSuggestions.hidden = false;
+        this.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    setActiveSuggestion(index) {
+        this.activeSuggestion = index;
+        this.searchSuggestions.querySelectorAll('.search-suggestion').forEach((item, itemIndex) => {
+            const active = itemIndex === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (index >= 0) {
+            this.searchInput.setAttribute('aria-activedescendant', `searchSuggestion${index}`);
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    selectSuggestion(suggestion) {
+        if (!suggestion) return;
+
+        this.searchInput.value = suggestion.text;
+        this.hideSuggestions();
+        this.performSearch();
+    }
+
+    hideSuggestions() {
+        clearTimeout(this.suggestTimer);
+        // Also invalidates a request still in flight
+        this.suggestRequestId++;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.searchSuggestions.hidden = true;
+        this.searchSuggestions.innerHTML = '';
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    async performSearch(correctedFromQueryId = null) {
         const query = this.searchInput.value.trim();
+        this.hideSuggestions();
 
         if (!query) {
             this.showError('Please enter a search query');
             return;
         }
 
-        this.showLoading();
+        // A search from the main box starts a new conversation
         this.hideAnswer(); // Hide answer section at start of new search
+        this.resetConversation();
+
+        const data = await this.runSearch(query, correctedFromQueryId);
+
+        // Generate answer for the same query and filters - start immediately
+        if (data && data.results.length > 0) {
+            this.generateAnswer(query);
+        }
+    }
+
+    async runSearch(query, correctedFromQueryId = null, history = null) {
+        this.showLoading();
 
         // Track search start time for telemetry
         this.searchStartTime = Date.now();
         this.currentQuery = query;
 
+        // Remember the request so "load more" fetches further pages of the same search
+        this.lastSearchRequest = {
+            query: query,
+            filters: this.selectedFilters,
+            size: this.getSelectedDocumentCount(),
+            retriever: this.getSelectedRetrieverMode()
+        };
+
         try {
-            const response = await fetch('/api/search', {
+            const response = await apiFetch('/api/search', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    query: query,
-                    filters: this.selectedFilters,
-                    size: this.getSelectedDocumentCount()
+                    ...this.lastSearchRequest,
+                    // Records that a "did you mean" suggestion was accepted
+                    corrected_from_query_id: correctedFromQueryId || undefined,
+                    // A follow-up question is rewritten by the server using the conversation
+                    history: history || undefined
                 })
             });
 
@@ -93,28 +293,91 @@ class KnowledgeSearch {
 
             // Store results for telemetry tracking
             this.currentResults = data.results;
+            this.currentTotal = data.total;
+            this.currentQueryId = data.query_id;
+            this.pagination = data.pagination;
+            // Later pages and click telemetry use the query that was searched, the rewrite for a follow-up
+            this.currentQuery = data.search_query;
+            this.lastSearchRequest.query = data.search_query;
+
+            // Facet counts reflect the current query and filters
+            if (data.facets) {
+                this.updateFacets(data.facets);
+            }
 
             // Immediately display search results
             this.displayResults(data, query);
             this.hideLoading(); // Hide loading immediately after displaying results
 
-            // Generate answer using search results - start immediately
-            if (data.results.length > 0) {
-                this.generateAnswer(query, data.results);
-            }
+            return data;
 
         } catch (error) {
             console.error('Search error:', error);
             this.showError(`Search failed: ${error.message}`);
             this.hideLoading();
+            return null;
         }
     }
 
+    async askFollowUp() {
+        const question = this.followUpInput.value.trim();
+
+        if (!question || this.conversation.length === 0) {
+            return;
+        }
+
+        this.followUpInput.value = '';
+        this.followUpForm.style.display = 'none';
+
+        // Move the answered turns into the thread and start a new turn
+        this.renderConversationThread();
+        this.answerQuestion.textContent = question;
+        this.showAnswerLoading();
+
+        try {
+            // Re-run retrieval; the server rewrites the follow-up into a standalone query
+            const data = await this.runSearch(question, null, this.getConversationHistory());
+
+            if (data && data.results.length > 0) {
+                await this.generateAnswer(question, data.search_query);
+            } else {
+                this.showAnswerMessage('No documents were found for this follow-up question. Try rephrasing it.');
+            }
+        } catch (error) {
+            console.error('Follow-up error:', error);
+            this.showAnswerMessage('Sorry, the follow-up question could not be answered. Please try again.');
+        }
+    }
+
+    getConversationHistory() {
+        return this.conversation.flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.answer }
+        ]);
+    }
+
+    renderConversationThread() {
+        this.conversationThread.innerHTML = this.conversation.map(turn => `
+            <div class="conversation-turn">
+                <div class="answer-question">${this.escapeHtml(turn.question)}</div>
+                <div class="answer-content">${this.markdownToHtml(turn.answer)}</div>
+            </div>
+        `).join('');
+    }
+
+    resetConversation() {
+        this.conversation = [];
+        this.conversationThread.innerHTML = '';
+        this.answerQuestion.textContent = '';
+        this.followUpForm.style.display = 'none';
+        this.followUpInput.value = '';
+    }
+
     displayResults(data, query) {
         const { total, results, took } = data;
 
         if (results.length === 0) {
-            this.showNoResults(query);
+            this.showNoResults(query, data.did_you_mean);
             return;
         }
 
@@ -123,21 +386,84 @@ class KnowledgeSearch {
                 <h2>Search Results</h2>
                 <div class="results-info">
                     Found ${total.toLocaleString()} results in ${took}ms
+                    <span class="results-shown">${this.formatResultsShown()}</span>
                 </div>
             </div>
-            ${results.map((result, index) => this.renderResult(result, index)).join('')}
+            ${this.renderDidYouMean(data.did_you_mean, query)}
+            <div class="results-list">
+                ${results.map((result, index) => this.renderResult(result, index)).join('')}
+            </div>
+            <div class="load-more-container">
+                <button class="load-more-btn" style="display: ${this.pagination?.has_more ? 'inline-flex' : 'none'};">Load more results</button>
+            </div>
         `;
 
         this.resultsContainer.innerHTML = resultsHtml;
+        this.bindDidYouMean(this.resultsContainer);
 
         // Show sidebar now that we have search results
         this.showSidebar();
 
         // Bind highlight toggle events after HTML is inserted
-        this.bindHighlightEvents();
+        this.bindHighlightEvents(this.resultsContainer);
 
         // Bind click events to result items
-        this.bindResultClickEvents();
+        this.bindResultClickEvents(this.resultsContainer);
+
+        this.resultsContainer.querySelector('.load-more-btn')
+            .addEventListener('click', (e) => this.loadMoreResults(e.currentTarget));
+    }
+
+    formatResultsShown() {
+        return `Showing ${this.currentResults.length.toLocaleString()} of ${this.currentTotal.toLocaleString()}`;
+    }
+
+    async loadMoreResults(button) {
+        if (!this.pagination || !this.pagination.has_more) return;
+
+        button.disabled = true;
+        button.textContent = 'Loading...';
+
+        try {
+            const response = await apiFetch('/api/search', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    ...this.lastSearchRequest,
+                    page: this.pagination
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Search failed');
+            }
+
+            // Positions continue from the results already shown so click telemetry stays correct
+            const offset = this.currentResults.length;
+            this.currentResults = this.currentResults.concat(data.results);
+            this.pagination = data.pagination;
+
+            const page = document.createElement('div');
+            page.className = 'results-page';
+            page.innerHTML = data.results.map((result, index) => this.renderResult(result, offset + index)).join('');
+            this.resultsContainer.querySelector('.results-list').appendChild(page);
+
+            this.bindHighlightEvents(page);
+            this.bindResultClickEvents(page);
+
+            this.resultsContainer.querySelector('.results-shown').textContent = this.formatResultsShown();
+            button.style.display = this.pagination.has_more ? 'inline-flex' : 'none';
+
+        } catch (error) {
+            console.error('Load more error:', error);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Load more results';
+        }
     }
 
     getFileTypeIcon(filename) {
@@ -179,44 +505,45 @@ class KnowledgeSearch {
         return icons[extension] || icons.default;
     }
 
-    renderResult(result, position) {
+    buildResultData(result, position) {
         const { id, score, source, highlight } = result;
 
-        const title = source.attachment?.title || source.title || source.attachment?.filename || source.filename || 'No title available';
-        const author = source.attachment?.author || 'Unknown author';
-        const content = source.attachment?.content || source.content || 'No content available';
-        const filename = source.filename || source.attachment?.filename || 'Unknown file';
+        return {
+            id,
+            title: source.attachment?.title || source.title || source.attachment?.filename || source.filename || 'No title available',
+            filename: source.filename || source.attachment?.filename || 'Unknown file',
+            author: source.attachment?.author || 'Unknown author',
+            position,
+            score,
+            content: source.attachment?.content || source.content || 'No content available',
+            // Check for highlights in semantic_content field
+            highlights: highlight.semantic_content || highlight.content || [],
+            // Page of each semantic_content highlight, when the document was chunked by page
+            highlightPages: result.highlight_pages || [],
+            hasOriginal: Boolean(source.has_original)
+        };
+    }
 
-        // Check for highlights in semantic_content field
-        const highlights = highlight.semantic_content || highlight.content || [];
+    renderResult(result, position) {
+        const data = this.buildResultData(result, position);
+        const { id, title, author, content, filename, score, highlights, highlightPages } = data;
         const highlightHtml = highlights.length > 0
             ? highlights.map((h, index) => `
                 <div class="highlight-container">
                     <button class="highlight-toggle" data-highlight-id="${id}-${index}">
-                        <span class="highlight-label">chunk</span>
+                        <span class="highlight-label">${highlightPages[index] ? `chunk · page ${highlightPages[index]}` : 'chunk'}</span>
                         <span class="highlight-icon">▶</span>
                     </button>
-                    <div class="result-highlight collapsed" data-highlight-content="${id}-${index}">${h}</div>
+                    <div class="result-highlight collapsed" data-highlight-content="${id}-${index}">${this.formatHighlight(h)}</div>
                 </div>
             `).join('')
             : '';
 
         const fileIcon = this.getFileTypeIcon(filename);
 
-        // Store result data for click tracking
-        const resultData = JSON.stringify({
-            id,
-            title,
-            filename,
-            author,
-            position,
-            score,
-            content,
-            highlights
-        }).replace(/"/g, '&quot;');
-
+        // The modal looks the result up by position and loads the document text itself
         return `
-            <div class="result-item" data-result="${resultData}" style="cursor: pointer;">
+            <div class="result-item" data-position="${position}" style="cursor: pointer;">
                 <div class="result-title">${this.escapeHtml(title)}</div>
                 <div class="result-author" style="color: var(--gaig-gray); font-size: 0.9rem; margin-bottom: 0.5rem;">Author: ${this.escapeHtml(author)}</div>
                 <div class="result-filename" style="color: var(--gaig-gray); font-size: 0.9rem; margin-bottom: 0.5rem; display: flex; align-items: center;">${fileIcon}Filename: ${this.escapeHtml(filename)}</div>
@@ -240,14 +567,47 @@ class KnowledgeSearch {
         this.hideSidebar();
     }
 
-    showNoResults(query) {
+    showNoResults(query, didYouMean = null) {
         this.resultsContainer.innerHTML = `
             <div class="no-results">
                 <h3>No Results Found</h3>
                 <p>No results found for "<strong>${this.escapeHtml(query)}</strong>"</p>
-                <p>Try different keywords or check the spelling of your search terms.</p>
+                ${didYouMean
+                    ? this.renderDidYouMean(didYouMean, query)
+                    : '<p>Try different keywords or check the spelling of your search terms.</p>'}
             </div>
         `;
+        this.bindDidYouMean(this.resultsContainer);
+    }
+
+    renderDidYouMean(didYouMean, query) {
+        if (!didYouMean) return '';
+
+        // Bold the words that were corrected
+        const typedWords = new Set(query.toLowerCase().match(/[a-z0-9]+/g) || []);
+        const corrected = didYouMean.text.split(/(\s+)/).map(word => {
+            const key = word.toLowerCase().replace(/[^a-z0-9]/g, '');
+            return key && !typedWords.has(key) ? `<strong>${this.escapeHtml(word)}</strong>` : this.escapeHtml(word);
+        }).join('');
+
+        return `
+            <p class="did-you-mean">
+                Did you mean: <a href="#" class="did-you-mean-link">${corrected}</a>?
+            </p>
+        `;
+    }
+
+    bindDidYouMean(container) {
+        const link = container.querySelector('.did-you-mean-link');
+        if (!link) return;
+
+        // The suggestion belongs to the search shown, whose query_id records the acceptance
+        const correctedFromQueryId = this.currentQueryId;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.searchInput.value = link.textContent;
+            this.performSearch(correctedFromQueryId);
+        });
     }
 
     showError(message) {
@@ -290,78 +650,69 @@ class KnowledgeSearch {
         return div.innerHTML;
     }
 
+    // Highlight fragments are document text, which uploaders control: escape it and restore
+    // only the highlighter's <em> tags
+    formatHighlight(fragment) {
+        return this.escapeHtml(fragment).replace(/&lt;(\/?)em&gt;/g, '<$1em>');
+    }
+
     truncateText(text, maxLength) {
         if (text.length <= maxLength) return text;
         return text.substr(0, maxLength) + '...';
     }
 
-    async generateAnswer(query, searchResults) {
+    async generateAnswer(question, searchQuery = question) {
         try {
-            console.log('generateAnswer called with:', { query, searchResults });
-
-            // Extract context from all results with document titles
-            const documentsContext = searchResults
-                .filter(result => {
-                    const highlights = result.highlight?.semantic_content || result.highlight?.content;
-                    return highlights && highlights.length > 0;
-                })
-                .map(result => {
-                    const highlights = result.highlight?.semantic_content || result.highlight?.content;
-                    const documentTitle = result.source?.attachment?.title || result.source?.title || result.source?.attachment?.filename || result.source?.filename || 'Unknown Document';
-                    const contextText = highlights.join(' ');
-                    return `Document: "${documentTitle}"\nContent: ${contextText}`;
-                })
-                .join('\n\n---\n\n');
-
-            console.log('Documents context:', documentsContext);
-
-            if (!documentsContext) {
-                console.log('No highlights available for answer generation');
-                return; // Don't show answer section if no context
-            }
-
-            console.log('Making API call to /api/chat-completion...');
+            console.log('generateAnswer called with:', { question, searchQuery });
+            console.log('Making API call to /api/answer...');
 
             // Show answer section immediately when LLM request starts
+            this.answerQuestion.textContent = question;
             this.showAnswerLoading();
+            this.hideGroundedness();
 
-            const response = await fetch('/api/chat-completion', {
+            // The server runs retrieval and builds the prompt from the query and filters
+            const response = await apiFetch('/api/answer', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: this.systemPrompt
-                        },
-                        {
-                            role: 'user',
-                            content: `Please answer the following question using only the information provided in the search results context below. Do not use any external knowledge.
-
-Question: "${query}"
-
-Search Results Context:
-${documentsContext}`
-                        }
-                    ]
+                    query_id: this.currentQueryId,
+                    query: searchQuery,
+                    question: question,
+                    history: this.getConversationHistory(),
+                    filters: this.selectedFilters,
+                    size: this.getSelectedDocumentCount(),
+                    retriever: this.getSelectedRetrieverMode()
                 })
             });
 
+            if (response.status === 204) {
+                console.log('No highlights available for answer generation');
+                if (this.conversation.length > 0) {
+                    this.showAnswerMessage('No relevant excerpts were found to answer this follow-up question.');
+                } else {
+                    this.hideAnswer(); // Don't show answer section if no context
+                }
+                return;
+            }
+
             console.log('API response status:', response.status);
 
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error('API error response:', errorText);
-                throw new Error(`Chat completion failed: ${response.status} - ${errorText}`);
+                throw new Error(`Answer generation failed: ${response.status} - ${errorText}`);
             }
 
-            // Simplified streaming - server sends plain text chunks (based on PG_Search pattern)
+            // Server streams newline-delimited JSON events: content, citation, done, error
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
+            let buffer = '';
             let answer = '';
             let firstChunkReceived = false;
+            this.answerCitations = [];
 
             console.log('Starting to read streaming response...');
 
@@ -372,23 +723,36 @@ ${documentsContext}`
                     break;
                 }
 
-                // Decode the plain text chunk
-                const chunk = decoder.decode(value, { stream: true });
-                console.log('Received chunk:', JSON.stringify(chunk), 'length:', chunk.length);
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
 
-                // Hide loading and show content on first chunk
-                if (!firstChunkReceived && chunk.trim()) {
-                    firstChunkReceived = true;
-                    this.hideAnswerLoading();
-                    this.answerContent.innerHTML = '';
-                    console.log('First LLM chunk received, hiding loading and showing content');
-                }
+                for (const line of lines) {
+                    if (!line.trim()) continue;
 
-                answer += chunk;
+                    const event = JSON.parse(line);
+
+                    if (event.type === 'content') {
+                        // Hide loading and show content on first chunk
+                        if (!firstChunkReceived && event.content.trim()) {
+                            firstChunkReceived = true;
+                            this.hideAnswerLoading();
+                            this.answerContent.innerHTML = '';
+                            console.log('First LLM chunk received, hiding loading and showing content');
+                        }
+                        answer += event.content;
+                    } else if (event.type === 'citation') {
+                        this.answerCitations.push(event.citation);
+                    } else if (event.type === 'done') {
+                        this.answerCitations = event.citations;
+                        this.showGroundedness(event.groundedness);
+                    } else if (event.type === 'error') {
+                        console.error('Answer stream error:', event.message);
+                    }
+                }
 
-                // Update the display in real-time with just the new chunk
+                // Update the display in real-time
                 this.answerContent.innerHTML = this.formatAnswer(answer);
-                console.log('Accumulated answer so far:', JSON.stringify(answer.substring(0, 100)) + (answer.length > 100 ? '...' : ''));
             }
 
             console.log('Final answer:', JSON.stringify(answer));
@@ -397,6 +761,10 @@ ${documentsContext}`
             if (answer.trim()) {
                 this.answerContent.innerHTML = this.formatAnswer(answer.trim());
                 console.log('Answer displayed successfully');
+
+                // Keep the turn so follow-up questions can build on it
+                this.conversation.push({ question, searchQuery, answer: answer.trim() });
+                this.followUpForm.style.display = 'flex';
             } else {
                 console.log('No content received, showing fallback message');
                 this.answerContent.innerHTML = '<p>Sorry, I could not generate a readable answer from the available information.</p>';
@@ -404,19 +772,25 @@ ${documentsContext}`
 
         } catch (error) {
             console.error('Answer generation error:', error);
-            // Don't show answer section if there was an error
+            if (this.conversation.length > 0) {
+                this.showAnswerMessage('Sorry, an answer could not be generated. Please try again.');
+            } else {
+                // Don't show answer section if there was an error
+                this.hideAnswer();
+            }
         }
     }
 
     formatAnswer(text) {
-        // Convert GitHub markdown to HTML5
-        return this.markdownToHtml(text);
+        // Convert GitHub markdown to HTML5, linking citations of the current answer
+        return this.markdownToHtml(text, this.answerCitations);
     }
 
-    markdownToHtml(markdown) {
+    markdownToHtml(markdown, citations = []) {
         if (!markdown || !markdown.trim()) return '';
 
-        let html = markdown;
+        // Answers can quote document text, so the markdown is escaped before it is converted
+        let html = this.escapeHtml(markdown);
 
         // Headers (support #### as well)
         html = html.replace(/^#### (.*$)/gim, '<h4 class="answer-h4">$1</h4>');
@@ -424,6 +798,16 @@ ${documentsContext}`
         html = html.replace(/^## (.*$)/gim, '<h2 class="answer-h2">$1</h2>');
         html = html.replace(/^# (.*$)/gim, '<h1 class="answer-h1">$1</h1>');
 
+        // Process source citations before italics - look for *(Source: ...)* patterns
+        let citationIndex = 0;
+        html = html.replace(/\*?\(Source:\s*([^)]+)\)\*?/g, (match, source) => {
+            const citation = citations[citationIndex++];
+            if (citation && citation.document_id) {
+                return `<a href="#" class="source-citation source-citation-link" data-citation-index="${citation.index}" title="Open ${this.escapeHtml(citation.title).replace(/"/g, '&quot;')}"><em>(Source: ${source})</em></a>`;
+            }
+            return `<span class="source-citation"><em>(Source: ${source})</em></span>`;
+        });
+
         // Bold (**text** or __text__) - fix conflicting regex
         html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
         html = html.replace(/__([^_]+)__/g, '<strong>$1</strong>');
@@ -438,17 +822,14 @@ ${documentsContext}`
         // Inline code (`code`)
         html = html.replace(/`([^`]+)`/g, '<code class="answer-inline-code">$1</code>');
 
-        // Links [text](url)
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="answer-link">$1</a>');
+        // Links [text](url), web addresses only
+        html = html.replace(/\[([^\]]+)\]\((https?:\/\/[^\s)"]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="answer-link">$1</a>');
 
         // Process lists with better parsing
         html = this.processLists(html);
 
         // Blockquotes (> text)
-        html = html.replace(/^>\s(.+)$/gm, '<blockquote class="answer-blockquote">$1</blockquote>');
-
-        // Process source citations - look for (Source: ...) patterns
-        html = html.replace(/\*\(Source:\s*([^)]+)\)\*/g, '<span class="source-citation"><em>(Source: $1)</em></span>');
+        html = html.replace(/^&gt;\s(.+)$/gm, '<blockquote class="answer-blockquote">$1</blockquote>');
 
         // Line breaks and paragraphs
         html = html.replace(/\n\s*\n/g, '</p><p>');
@@ -571,6 +952,48 @@ ${documentsContext}`
     hideAnswer() {
         this.answerContainer.style.display = 'none';
         this.answerContent.innerHTML = '';
+        this.hideGroundedness();
+    }
+
+    // Show how well the answer is supported by the retrieved excerpts
+    showGroundedness(groundedness) {
+        const labels = {
+            grounded: 'Supported by sources',
+            partially_grounded: 'Partly supported by sources',
+            ungrounded: 'Not supported by sources'
+        };
+
+        if (!groundedness || !labels[groundedness.verdict]) {
+            this.hideGroundedness();
+            return;
+        }
+
+        this.groundednessBadge.textContent = labels[groundedness.verdict];
+        this.groundednessBadge.className = `groundedness-badge ${groundedness.verdict.replace('_', '-')}`;
+        this.groundednessBadge.title = `${groundedness.supported_sentence_count} of ${groundedness.sentence_count} statements matched the cited excerpts`;
+        this.groundednessBadge.hidden = false;
+
+        const issues = [
+            ...groundedness.unknown_citations.map(citation => `Cites a document that was not in the search results: ${citation.text}`),
+            ...groundedness.unsupported_sentences.map(sentence => sentence.text)
+        ];
+
+        if (issues.length === 0) {
+            this.groundednessDetails.hidden = true;
+            return;
+        }
+
+        this.groundednessDetails.innerHTML = `
+            <summary>${issues.length} ${issues.length === 1 ? 'statement' : 'statements'} to verify against the documents</summary>
+            <ul>${issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}</ul>
+        `;
+        this.groundednessDetails.hidden = false;
+    }
+
+    hideGroundedness() {
+        this.groundednessBadge.hidden = true;
+        this.groundednessDetails.hidden = true;
+        this.groundednessDetails.innerHTML = '';
     }
 
     showAnswerLoading() {
@@ -584,9 +1007,19 @@ ${documentsContext}`
         this.answerContent.style.display = 'block';
     }
 
+    showAnswerMessage(message) {
+        this.hideAnswerLoading();
+        this.answerContent.innerHTML = `<p class="answer-message">${this.escapeHtml(message)}</p>`;
+
+        // Let the user try another follow-up
+        if (this.conversation.length > 0) {
+            this.followUpForm.style.display = 'flex';
+        }
+    }
+
     async loadSystemPrompt() {
         try {
-            const response = await fetch('/api/system-prompt');
+            const response = await apiFetch('/api/system-prompt');
 
             if (!response.ok) {
                 if (response.status === 503) {
@@ -610,7 +1043,7 @@ ${documentsContext}`
     async loadFacets() {
         try {
             console.log('=== FRONTEND: Loading facets ===');
-            const response = await fetch('/api/facets');
+            const response = await apiFetch('/api/facets');
             const facets = await response.json();
 
             console.log('=== FRONTEND: Received facets ===');
@@ -619,15 +1052,68 @@ ${documentsContext}`
             console.log('Content Type facets:', facets.content_type);
             console.log('Creator Tool facets:', facets.creator_tool);
 
-            this.renderFacets('author', facets.author, this.authorFacets);
-            this.renderFacets('content_type', facets.content_type, this.contentTypeFacets);
-            this.renderFacets('creator_tool', facets.creator_tool, this.creatorToolFacets);
+            this.updateFacets(facets);
 
         } catch (error) {
             console.error('Failed to load facets:', error);
             this.authorFacets.innerHTML = '<div class="facet-loading">Failed to load</div>';
             this.contentTypeFacets.innerHTML = '<div class="facet-loading">Failed to load</div>';
             this.creatorToolFacets.innerHTML = '<div class="facet-loading">Failed to load</div>';
+            this.dateFacets.innerHTML = '<div class="facet-loading">Failed to load</div>';
+        }
+    }
+
+    updateFacets(facets) {
+        this.renderFacets('author', facets.author, this.authorFacets);
+        this.renderFacets('content_type', facets.content_type, this.contentTypeFacets);
+        this.renderFacets('creator_tool', facets.creator_tool, this.creatorToolFacets);
+        this.renderDateFacets(facets.date);
+    }
+
+    renderDateFacets(dateData) {
+        if (!dateData || dateData.length === 0) {
+            this.dateFacets.innerHTML = '<div class="facet-loading">No dates available</div>';
+            return;
+        }
+
+        const { from, to } = this.selectedFilters.date || {};
+
+        this.dateFacets.innerHTML = dateData.map(bucket => `
+            <div class="facet-item${bucket.from === from && bucket.to === to ? ' active' : ''}" data-date-from="${bucket.from}" data-date-to="${bucket.to}">
+                <span class="facet-label">${this.escapeHtml(bucket.value)}</span>
+                <span class="facet-count">${bucket.count}</span>
+            </div>
+        `).join('');
+
+        // Clicking a year restricts the search to that year, clicking it again clears it
+        this.dateFacets.querySelectorAll('.facet-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (item.classList.contains('active')) {
+                    this.setDateRange('', '');
+                } else {
+                    this.setDateRange(item.dataset.dateFrom, item.dataset.dateTo);
+                }
+            });
+        });
+    }
+
+    setDateRange(from, to) {
+        this.dateFromInput.value = from;
+        this.dateToInput.value = to;
+        this.updateDateFilter();
+    }
+
+    updateDateFilter() {
+        const from = this.dateFromInput.value;
+        const to = this.dateToInput.value;
+
+        this.selectedFilters.date = from || to
+            ? { field: this.dateFieldSelect.value, from, to }
+            : null;
+
+        // Re-run search if there's an active query
+        if (this.searchInput.value.trim()) {
+            this.performSearch();
         }
     }
 
@@ -638,14 +1124,23 @@ ${documentsContext}`
         console.log('facetData is array?', Array.isArray(facetData));
         console.log('facetData length:', facetData?.length);
 
-        if (!facetData || facetData.length === 0) {
+        // Keep selected values visible even when they no longer match the query
+        const selectedValues = this.selectedFilters[facetType] || [];
+        facetData = [...(facetData || [])];
+        selectedValues.forEach(value => {
+            if (!facetData.some(facet => facet.value === value)) {
+                facetData.push({ value, count: 0 });
+            }
+        });
+
+        if (facetData.length === 0) {
             console.log(`No data for ${facetType}, showing "No data available"`);
             container.innerHTML = '<div class="facet-loading">No data available</div>';
             return;
         }
 
         const html = facetData.map(facet => `
-            <div class="facet-item" data-facet-type="${facetType}" data-facet-value="${this.escapeHtml(facet.value)}">
+            <div class="facet-item${selectedValues.includes(facet.value) ? ' active' : ''}${facet.count === 0 ? ' empty' : ''}" data-facet-type="${facetType}" data-facet-value="${this.escapeHtml(facet.value)}">
                 <span class="facet-label" title="${this.escapeHtml(facet.value)}">${this.escapeHtml(facet.value || 'Unknown')}</span>
                 <span class="facet-count">${facet.count}</span>
             </div>
@@ -689,8 +1184,12 @@ ${documentsContext}`
         return parseInt(this.docCountSelect.value) || 3;
     }
 
-    bindHighlightEvents() {
-        const toggleButtons = this.resultsContainer.querySelectorAll('.highlight-toggle');
+    getSelectedRetrieverMode() {
+        return this.retrieverModeSelect.value || 'semantic';
+    }
+
+    bindHighlightEvents(container) {
+        const toggleButtons = container.querySelectorAll('.highlight-toggle');
         toggleButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -750,7 +1249,7 @@ ${documentsContext}`
 
         try {
             console.log('Loading sample questions from server...');
-            const response = await fetch('/api/questions');
+            const response = await apiFetch('/api/questions');
 
             if (!response.ok) {
                 if (response.status === 503) {
@@ -973,8 +1472,8 @@ ${documentsContext}`
         });
     }
 
-    bindResultClickEvents() {
-        const resultItems = this.resultsContainer.querySelectorAll('.result-item');
+    bindResultClickEvents(container) {
+        const resultItems = container.querySelectorAll('.result-item');
         resultItems.forEach(item => {
             item.addEventListener('click', (e) => {
                 // Don't trigger if clicking on highlight toggle buttons
@@ -982,14 +1481,39 @@ ${documentsContext}`
                     return;
                 }
 
-                const resultData = JSON.parse(item.dataset.result.replace(/&quot;/g, '"'));
-                this.showDocumentModal(resultData);
+                const position = parseInt(item.dataset.position);
+                this.showDocumentModal(this.buildResultData(this.currentResults[position], position));
             });
         });
     }
 
-    showDocumentModal(resultData) {
-        const { id, title, filename, author, position, score, content, highlights } = resultData;
+    // Citations carry the cited document's details, excerpt and page, because the answer's
+    // context can hold documents the results list does not (follow-ups, pages not loaded)
+    openCitation(citation) {
+        if (!citation || !citation.document_id) return;
+
+        this.showDocumentModal({
+            id: citation.document_id,
+            title: citation.title,
+            filename: citation.filename || 'Unknown file',
+            author: citation.author || 'Unknown author',
+            position: citation.position,
+            score: citation.score,
+            highlights: citation.excerpt ? [citation.excerpt] : [],
+            highlightPages: [citation.page],
+            hasOriginal: citation.has_original,
+            // The position is in the answer's context, not the results list, so the click
+            // model must not count it as a result click
+            clickSource: 'citation'
+        }, citation.excerpt ? 0 : null);
+    }
+
+    // similarTo is the ID of the document whose related documents this one was opened from
+    showDocumentModal(resultData, focusExcerpt = null, similarTo = null) {
+        const { id, title, filename, author, position, score, highlights, highlightPages = [], hasOriginal, clickSource } = resultData;
+        const fileUrl = `/api/documents/${encodeURIComponent(id)}/file`;
+        // Browsers show PDFs themselves; other originals can only be downloaded
+        const showViewer = hasOriginal && filename.toLowerCase().endsWith('.pdf');
 
         // Set modal title
         this.documentModalTitle.textContent = title;
@@ -1008,10 +1532,16 @@ ${documentsContext}`
                 <span class="metadata-label">Document ID:</span>
                 <span class="metadata-value">${this.escapeHtml(id)}</span>
             </div>
+            ${typeof score === 'number' ? `
             <div class="metadata-row">
                 <span class="metadata-label">Relevance Score:</span>
                 <span class="metadata-value">${score.toFixed(2)}</span>
-            </div>
+            </div>` : ''}
+            ${hasOriginal ? `
+            <div class="metadata-row">
+                <span class="metadata-label">Original:</span>
+                <span class="metadata-value"><a href="${fileUrl}?download=1">Download ${this.escapeHtml(filename)}</a></span>
+            </div>` : ''}
         `;
         this.documentMetadata.innerHTML = metadataHtml;
 
@@ -1022,41 +1552,304 @@ ${documentsContext}`
         if (highlights && highlights.length > 0) {
             contentHtml += '<h4>Relevant Excerpts</h4>';
             highlights.forEach((highlight, index) => {
-                contentHtml += `<div class="document-excerpt">${highlight}</div>`;
+                const focusClass = index === focusExcerpt ? ' focused' : '';
+                const page = highlightPages[index];
+                const pageHtml = page ? `<span class="document-excerpt-page">Page ${page}</span>` : '';
+                contentHtml += `<div class="document-excerpt${focusClass}${showViewer && page ? ' has-page' : ''}" data-excerpt-index="${index}" data-page="${page || ''}">${pageHtml}${this.formatHighlight(highlight)}</div>`;
             });
-            contentHtml += '<h4>Full Content</h4>';
         }
 
-        // Show full content (truncated for very long documents)
-        const maxContentLength = 5000;
-        const displayContent = content.length > maxContentLength
-            ? content.substring(0, maxContentLength) + '...\n\n[Content truncated for display]'
-            : content;
+        contentHtml += `
+            <div class="similar-documents" id="similarDocuments" hidden>
+                <h4>Related Documents</h4>
+                <ul class="similar-list" id="similarList"></ul>
+            </div>
+        `;
+
+        if (showViewer) {
+            contentHtml += '<h4>Original Document</h4><div class="document-viewer" id="documentViewer"></div>';
+        }
 
-        contentHtml += `<div class="document-text">${this.escapeHtml(displayContent).replace(/\n/g, '<br>')}</div>`;
+        // The text is loaded a page at a time from /api/documents/:id
+        contentHtml += `
+            <h4>${showViewer ? 'Extracted Text' : 'Full Content'}</h4>
+            <form class="document-find" id="documentFindForm">
+                <input type="search" class="document-find-input" id="documentFindInput" placeholder="Find in document">
+                <button type="submit" class="document-find-btn">Find</button>
+                <button type="button" class="document-find-btn" id="documentFindPrev" title="Previous match" disabled>▲</button>
+                <button type="button" class="document-find-btn" id="documentFindNext" title="Next match" disabled>▼</button>
+                <span class="document-find-count" id="documentFindCount"></span>
+            </form>
+            <div class="document-text" id="documentText"><div class="loading-document">Loading document...</div></div>
+            <button class="follow-up-btn document-load-more" id="documentLoadMore" hidden>Load more</button>
+        `;
         contentHtml += '</div>';
 
         this.documentContent.innerHTML = contentHtml;
+        document.getElementById('documentFindInput').value = this.currentQuery || '';
+        this.bindDocumentFindEvents(id);
+        this.loadDocumentText(id, this.currentQuery);
+        this.loadSimilarDocuments(id);
+
+        if (showViewer) {
+            // Open at the page of the cited excerpt, or of the best excerpt
+            this.showDocumentPage(fileUrl, title, highlightPages[focusExcerpt ?? 0] || 1);
+
+            this.documentContent.querySelectorAll('.document-excerpt.has-page').forEach(excerpt => {
+                excerpt.addEventListener('click', () => {
+                    this.documentContent.querySelectorAll('.document-excerpt.focused').forEach(el => el.classList.remove('focused'));
+                    excerpt.classList.add('focused');
+                    this.showDocumentPage(fileUrl, title, parseInt(excerpt.dataset.page));
+                    document.getElementById('documentViewer').scrollIntoView({ behavior: 'smooth', block: 'start' });
+                });
+            });
+        }
 
         // Show modal
         this.documentModal.classList.remove('hidden');
         document.body.style.overflow = 'hidden';
 
+        // Scroll to the excerpt a citation points at
+        const focusedExcerpt = this.documentContent.querySelector('.document-excerpt.focused');
+        if (focusedExcerpt) {
+            focusedExcerpt.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
         // Track the click in telemetry
-        this.trackDocumentClick(id, title, filename, author, position, score);
+        this.trackDocumentClick(id, title, filename, author, position, score, similarTo, clickSource);
+    }
+
+    bindDocumentFindEvents(id) {
+        document.getElementById('documentFindForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadDocumentText(id, document.getElementById('documentFindInput').value.trim());
+        });
+        document.getElementById('documentFindPrev').addEventListener('click', () => this.showFindMatch(-1));
+        document.getElementById('documentFindNext').addEventListener('click', () => this.showFindMatch(1));
+        document.getElementById('documentLoadMore').addEventListener('click', () => this.loadMoreDocumentText());
+    }
+
+    // Load the first page of a document's text and, with a query, where its terms and chunks are
+    async loadDocumentText(id, query = '') {
+        const params = new URLSearchParams();
+        if (query) params.set('q', query);
+
+        // Responses for an earlier request or another document are dropped
+        const request = { id };
+        this.documentView = request;
+
+        const textContainer = document.getElementById('documentText');
+        try {
+            const response = await apiFetch(`/api/documents/${encodeURIComponent(id)}?${params}`);
+            const data = await response.json();
+            if (this.documentView !== request) return;
+
+            if (!response.ok) {
+                textContainer.innerHTML = `<div class="loading-document">${this.escapeHtml(data.message || data.error || 'The document could not be loaded.')}</div>`;
+                return;
+            }
+
+            Object.assign(request, {
+                text: data.content.text,
+                nextOffset: data.content.next_offset,
+                totalLength: data.content.total_length,
+                find: data.find,
+                currentMatch: -1
+            });
+            this.renderDocumentText();
+        } catch (error) {
+            console.error('Document load error:', error);
+            if (this.documentView === request) {
+                textContainer.innerHTML = '<div class="loading-document">The document could not be loaded. Please try again.</div>';
+            }
+        }
+    }
+
+    async loadMoreDocumentText() {
+        const view = this.documentView;
+        if (!view || view.nextOffset === null || view.loadingMore) return false;
+
+        view.loadingMore = true;
+        document.getElementById('documentLoadMore').disabled = true;
+        try {
+            const response = await apiFetch(`/api/documents/${encodeURIComponent(view.id)}?offset=${view.nextOffset}`);
+            const data = await response.json();
+            if (this.documentView !== view || !response.ok) return false;
+
+            view.text += data.content.text;
+            view.nextOffset = data.content.next_offset;
+            this.renderDocumentText();
+            return true;
+        } catch (error) {
+            console.error('Document load error:', error);
+            return false;
+        } finally {
+            view.loadingMore = false;
+            const loadMoreBtn = document.getElementById('documentLoadMore');
+            if (loadMoreBtn) loadMoreBtn.disabled = false;
+        }
+    }
+
+    // Render the loaded text with the query's terms and semantic chunks marked
+    renderDocumentText() {
+        const { text, nextOffset, totalLength, find } = this.documentView;
+        const textContainer = document.getElementById('documentText');
+        if (!textContainer) return;
+
+        // Matches are sorted by offset, so the loaded ones keep their indexes
+        const terms = (find?.matches || []).filter(match => match.offset < text.length);
+        const chunks = (find?.chunks || []).filter(chunk => chunk.offset !== null && chunk.offset < text.length);
+
+        const boundaries = new Set([0, text.length]);
+        [...terms, ...chunks].forEach(range => {
+            boundaries.add(range.offset);
+            boundaries.add(Math.min(range.offset + range.length, text.length));
+        });
+        const points = [...boundaries].sort((a, b) => a - b);
+
+        let html = '';
+        let termIndex = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            while (termIndex < terms.length && terms[termIndex].offset + terms[termIndex].length <= start) termIndex++;
+
+            let segment = this.escapeHtml(text.slice(start, end)).replace(/\n/g, '<br>');
+            if (termIndex < terms.length && terms[termIndex].offset <= start) {
+                segment = `<mark class="find-term" data-match="${termIndex}">${segment}</mark>`;
+            }
+            if (chunks.some(chunk => chunk.offset <= start && chunk.offset + chunk.length >= end)) {
+                segment = `<mark class="find-chunk">${segment}</mark>`;
+            }
+            html += segment;
+        }
+
+        textContainer.innerHTML = html || '<div class="loading-document">No text could be extracted from this document.</div>';
+
+        const loadMoreBtn = document.getElementById('documentLoadMore');
+        loadMoreBtn.hidden = nextOffset === null;
+        if (nextOffset !== null) {
+            loadMoreBtn.textContent = `Load more (${Math.round(text.length / totalLength * 100)}% shown)`;
+        }
+
+        this.updateFindStatus();
+    }
+
+    updateFindStatus() {
+        const { find, currentMatch } = this.documentView;
+        const count = document.getElementById('documentFindCount');
+        const matchCount = find?.matches.length || 0;
+
+        document.getElementById('documentFindPrev').disabled = matchCount === 0;
+        document.getElementById('documentFindNext').disabled = matchCount === 0;
+
+        if (!find) {
+            count.textContent = '';
+            return;
+        }
+
+        const located = find.chunks.filter(chunk => chunk.offset !== null).length;
+        const position = currentMatch >= 0 ? `${currentMatch + 1} of ` : '';
+        const capped = find.total > matchCount ? ` (first ${matchCount} shown)` : '';
+        count.textContent = `${position}${find.total} ${find.total === 1 ? 'match' : 'matches'}${capped}, ${located} relevant ${located === 1 ? 'passage' : 'passages'}`;
+    }
+
+    async loadSimilarDocuments(id) {
+        const params = new URLSearchParams({ size: 5 });
+        if (this.currentQueryId) params.set('query_id', this.currentQueryId);
+
+        try {
+            const response = await apiFetch(`/api/documents/${encodeURIComponent(id)}/similar?${params}`);
+            const data = await response.json();
+            // Another document may have been opened meanwhile
+            if (this.documentView?.id !== id) return;
+            if (!response.ok) {
+                console.error('Similar documents error:', data.message || data.error);
+                return;
+            }
+
+            this.renderSimilarDocuments(id, data.results);
+        } catch (error) {
+            console.error('Similar documents error:', error);
+        }
+    }
+
+    renderSimilarDocuments(id, results) {
+        const panel = document.getElementById('similarDocuments');
+        const list = document.getElementById('similarList');
+        if (!panel || results.length === 0) return;
+
+        list.innerHTML = results.map((result, index) => {
+            const data = this.buildResultData(result, index);
+            return `
+                <li class="similar-item" data-index="${index}">
+                    ${this.getFileTypeIcon(data.filename)}
+                    <span class="similar-title">${this.escapeHtml(data.title)}</span>
+                    <span class="similar-meta">${this.escapeHtml(data.author)}</span>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.similar-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const index = parseInt(item.dataset.index);
+                this.showDocumentModal(this.buildResultData(results[index], index), null, id);
+                this.documentContent.scrollTop = 0;
+            });
+        });
+        panel.hidden = false;
+    }
+
+    // Move to the next or previous term match, loading more text when it is further on
+    async showFindMatch(direction) {
+        const view = this.documentView;
+        const matches = view?.find?.matches || [];
+        if (matches.length === 0) return;
+
+        view.currentMatch = (view.currentMatch + direction + matches.length) % matches.length;
+        const match = matches[view.currentMatch];
+        while (match.offset >= view.text.length && view.nextOffset !== null) {
+            if (!await this.loadMoreDocumentText()) return;
+        }
+        if (this.documentView !== view) return;
+
+        this.documentContent.querySelectorAll('.find-term.current').forEach(mark => mark.classList.remove('current'));
+        const marks = this.documentContent.querySelectorAll(`.find-term[data-match="${view.currentMatch}"]`);
+        marks.forEach(mark => mark.classList.add('current'));
+        if (marks.length > 0) {
+            marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        this.updateFindStatus();
+    }
+
+    showDocumentPage(fileUrl, title, page) {
+        const viewer = document.getElementById('documentViewer');
+        if (!viewer) return;
+
+        // A new frame, because PDF viewers ignore a changed #page on the frame they already show
+        const frame = document.createElement('iframe');
+        frame.className = 'document-viewer-frame';
+        frame.title = title;
+        frame.src = `${fileUrl}#page=${page}`;
+        viewer.replaceChildren(frame);
     }
 
     hideDocumentModal() {
         this.documentModal.classList.add('hidden');
         document.body.style.overflow = '';
+        // Stop loading the original in the background
+        const viewer = document.getElementById('documentViewer');
+        if (viewer) viewer.replaceChildren();
+        this.documentView = null;
     }
 
-    async trackDocumentClick(documentId, documentTitle, documentFilename, documentAuthor, position, score) {
+    async trackDocumentClick(documentId, documentTitle, documentFilename, documentAuthor, position, score, similarTo = null, clickSource = null) {
         try {
             // Calculate time from search to click
             const timeToClickMs = this.searchStartTime ? Date.now() - this.searchStartTime : 0;
 
             const clickData = {
+                query_id: this.currentQueryId,
                 query: this.currentQuery,
                 document_id: documentId,
                 document_title: documentTitle,
@@ -1064,12 +1857,15 @@ ${documentsContext}`
                 document_author: documentAuthor,
                 position: position,
                 score: score,
-                time_to_click_ms: timeToClickMs
+                time_to_click_ms: timeToClickMs,
+                // Recommendations and citations are separate click sources, so they do not count as result clicks
+                click_source: clickSource || (similarTo ? 'similar' : 'results'),
+                similar_to_document_id: similarTo
             };
 
             console.log('📊 Tracking document click:', clickData);
 
-            const response = await fetch('/api/telemetry/click', {
+            const response = await apiFetch('/api/telemetry/click', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1113,7 +1909,11 @@ class HealthChecker {
 
 document.addEventListener('DOMContentLoaded', () => {
     new KnowledgeSearch();
+    new UserMenu();
     new HealthChecker();
 
+    clientTelemetry.bindOptOutToggle(document.getElementById('telemetryOptOut'));
+    clientTelemetry.trackPageAccess();
+
     console.log('🔍 Great American Insurance Group Knowledge Search initialized');
 });
\ No newline at end of file
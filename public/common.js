@@ -0,0 +1,63 @@
+// Shared by the search, analytics and upload pages
+
+// Fetch from the API with the telemetry headers, sending the user to sign in again
+// when their session has expired
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            ...clientTelemetry.getHeaders(),
+            ...options.headers
+        }
+    });
+
+    if (response.status === 401) {
+        const returnTo = window.location.pathname + window.location.search;
+        window.location.href = `/auth/login?returnTo=${encodeURIComponent(returnTo)}`;
+    }
+
+    return response;
+}
+
+class UserMenu {
+    constructor() {
+        this.container = document.getElementById('userMenu');
+        this.userName = document.getElementById('userName');
+        this.signOutBtn = document.getElementById('signOutBtn');
+        this.adminLink = document.getElementById('adminLink');
+        this.uploadLink = document.getElementById('uploadLink');
+
+        this.signOutBtn.addEventListener('click', () => this.signOut());
+        this.loadUser();
+    }
+
+    async loadUser() {
+        try {
+            const response = await fetch('/api/me');
+            const data = await response.json();
+
+            if (data.authenticated) {
+                this.userName.textContent = data.user.name || data.user.email || data.user.sub;
+                this.userName.title = data.user.email || '';
+                this.adminLink.hidden = !data.admin;
+                // The upload page has no link to itself
+                if (this.uploadLink) {
+                    this.uploadLink.hidden = !data.can_upload;
+                }
+                this.container.hidden = false;
+            }
+        } catch (error) {
+            console.error('Error loading signed-in user:', error);
+        }
+    }
+
+    async signOut() {
+        try {
+            const response = await fetch('/auth/logout', { method: 'POST' });
+            const data = await response.json();
+            window.location.href = data.redirect || '/auth/login';
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// Browser side of usage telemetry: session and visitor IDs sent with every API call,
+// page access with dwell time, and the user's opt-out
+class ClientTelemetry {
+    constructor() {
+        this.visitorKey = 'gaig_visitor_id';
+        this.sessionKey = 'gaig_session';
+        this.optOutKey = 'gaig_telemetry_opt_out';
+
+        // A session ends after 30 minutes without any API call
+        this.sessionTimeoutMs = 30 * 60 * 1000;
+
+        this.pageOpenedAt = Date.now();
+        this.accessEventId = null;
+    }
+
+    isOptedOut() {
+        return this.readStorage(this.optOutKey) === '1';
+    }
+
+    setOptedOut(optedOut) {
+        if (optedOut) {
+            this.writeStorage(this.optOutKey, '1');
+            // Forget the IDs so opting back in starts fresh
+            this.removeStorage(this.visitorKey);
+            this.removeStorage(this.sessionKey);
+            this.accessEventId = null;
+        } else {
+            this.removeStorage(this.optOutKey);
+        }
+    }
+
+    getVisitorId() {
+        let visitorId = this.readStorage(this.visitorKey);
+        if (!visitorId) {
+            visitorId = this.generateId();
+            this.writeStorage(this.visitorKey, visitorId);
+        }
+        return visitorId;
+    }
+
+    // Reuse the current session while it is active, otherwise start a new one
+    getSessionId() {
+        const now = Date.now();
+        let session = null;
+
+        try {
+            session = JSON.parse(this.readStorage(this.sessionKey));
+        } catch (error) {
+            session = null;
+        }
+
+        if (!session || !session.id || now - session.lastActivity > this.sessionTimeoutMs) {
+            session = { id: this.generateId() };
+        }
+
+        session.lastActivity = now;
+        this.writeStorage(this.sessionKey, JSON.stringify(session));
+        return session.id;
+    }
+
+    // Headers identifying the session for TelemetryService.getCommonData
+    getHeaders() {
+        if (this.isOptedOut()) {
+            return { 'X-Telemetry-Opt-Out': '1' };
+        }
+
+        return {
+            'X-Session-Id': this.getSessionId(),
+            'X-User-Id': this.getVisitorId(),
+            'X-Page-Url': window.location.href
+        };
+    }
+
+    async trackPageAccess() {
+        if (this.isOptedOut()) return;
+
+        try {
+            const response = await apiFetch('/api/telemetry/access', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    page_title: document.title,
+                    viewport_width: window.innerWidth,
+                    viewport_height: window.innerHeight
+                })
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                this.accessEventId = data.event_id;
+            }
+        } catch (error) {
+            console.error('Error tracking page access:', error);
+        }
+
+        // Report dwell time whenever the page is hidden; the last report wins
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.trackPageDuration();
+            }
+        });
+        window.addEventListener('pagehide', () => this.trackPageDuration());
+    }
+
+    trackPageDuration() {
+        if (this.isOptedOut() || !this.accessEventId) return;
+
+        // keepalive lets the request finish after the page has been closed
+        fetch('/api/telemetry/access/duration', {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.getHeaders()
+            },
+            body: JSON.stringify({
+                event_id: this.accessEventId,
+                duration_ms: Date.now() - this.pageOpenedAt
+            })
+        }).catch(error => console.error('Error tracking page duration:', error));
+    }
+
+    // Footer link that switches usage analytics off and on
+    bindOptOutToggle(link) {
+        const render = () => {
+            link.textContent = this.isOptedOut() ? 'Opt in to usage analytics' : 'Opt out of usage analytics';
+        };
+
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.setOptedOut(!this.isOptedOut());
+            render();
+        });
+
+        render();
+    }
+
+    generateId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+    }
+
+    // Storage can be unavailable (private browsing, blocked cookies); telemetry must never break the page
+    readStorage(key) {
+        try {
+            return window.localStorage.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeStorage(key, value) {
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (error) {
+            // Ignore: IDs then only last for this page view
+        }
+    }
+
+    removeStorage(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (error) {
+            // Ignore
+        }
+    }
+}
+
+const clientTelemetry = new ClientTelemetry();
@@ -0,0 +1,177 @@
+// Supported file extensions; the server checks the file contents as well
+const UPLOAD_EXTENSIONS = ['.pdf', '.docx'];
+
+const UPLOAD_STATUS_LABELS = {
+    pending: 'Waiting',
+    uploading: 'Indexing…',
+    indexed: 'Indexed',
+    failed: 'Failed'
+};
+
+class DocumentUploader {
+    constructor() {
+        this.dropZone = document.getElementById('uploadDropZone');
+        this.fileInput = document.getElementById('uploadFileInput');
+        this.accessGroupsInput = document.getElementById('uploadAccessGroups');
+        this.startBtn = document.getElementById('uploadStartBtn');
+        this.status = document.getElementById('uploadStatus');
+        this.list = document.getElementById('uploadList');
+
+        // { file, status, message } per chosen file, in the order they were added
+        this.items = [];
+        this.uploading = false;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.fileInput.addEventListener('change', () => {
+            this.addFiles(this.fileInput.files);
+            this.fileInput.value = '';
+        });
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.add('dragging');
+        });
+        this.dropZone.addEventListener('dragleave', () => this.dropZone.classList.remove('dragging'));
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('dragging');
+            this.addFiles(e.dataTransfer.files);
+        });
+
+        this.startBtn.addEventListener('click', () => this.uploadAll());
+    }
+
+    addFiles(fileList) {
+        Array.from(fileList).forEach(file => {
+            const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+            const supported = UPLOAD_EXTENSIONS.includes(extension);
+            this.items.push({
+                file,
+                status: supported ? 'pending' : 'failed',
+                message: supported ? '' : 'Only PDF and Word (.docx) files can be uploaded'
+            });
+        });
+
+        this.showStatus('');
+        this.render();
+    }
+
+    getAccessGroups() {
+        return this.accessGroupsInput.value
+            .split(',')
+            .map(group => group.trim())
+            .filter(Boolean);
+    }
+
+    // Upload the waiting files one at a time so each gets its own result
+    async uploadAll() {
+        if (this.uploading) return;
+
+        const pending = this.items.filter(item => item.status === 'pending');
+        if (pending.length === 0) return;
+
+        this.uploading = true;
+        this.render();
+
+        const accessGroups = this.getAccessGroups();
+        for (const item of pending) {
+            item.status = 'uploading';
+            this.render();
+            await this.upload(item, accessGroups);
+            this.render();
+        }
+
+        this.uploading = false;
+        this.render();
+
+        const failed = pending.filter(item => item.status === 'failed').length;
+        this.showStatus(
+            `${pending.length - failed} of ${pending.length} files indexed${failed > 0 ? `, ${failed} failed` : ''}.`,
+            failed > 0
+        );
+    }
+
+    async upload(item, accessGroups) {
+        const params = new URLSearchParams({ filename: item.file.name });
+        if (accessGroups.length > 0) {
+            params.set('access_groups', accessGroups.join(','));
+        }
+
+        try {
+            const response = await apiFetch(`/api/documents?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': item.file.type || 'application/octet-stream' },
+                body: item.file
+            });
+
+            if (response.status === 413) {
+                item.status = 'failed';
+                item.message = 'The file is too large to upload';
+                return;
+            }
+
+            const data = await response.json();
+            if (response.ok) {
+                item.status = 'indexed';
+                item.message = '';
+            } else {
+                item.status = 'failed';
+                item.message = data.message || data.error || `Upload failed (${response.status})`;
+            }
+        } catch (error) {
+            console.error('Upload error:', error);
+            item.status = 'failed';
+            item.message = 'The upload could not be completed. Please check your connection and try again.';
+        }
+    }
+
+    render() {
+        this.startBtn.disabled = this.uploading || !this.items.some(item => item.status === 'pending');
+
+        if (this.items.length === 0) {
+            this.list.innerHTML = '<li class="upload-empty">No files chosen yet.</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.items.map(item => `
+            <li class="upload-item ${item.status}">
+                <span class="upload-item-name" title="${this.escapeHtml(item.file.name)}">${this.escapeHtml(item.file.name)}</span>
+                <span class="upload-item-size">${this.formatSize(item.file.size)}</span>
+                <span class="upload-item-status">${UPLOAD_STATUS_LABELS[item.status]}</span>
+                ${item.message ? `<span class="upload-item-message">${this.escapeHtml(item.message)}</span>` : ''}
+            </li>
+        `).join('');
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        // Also used inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new DocumentUploader();
+    new UserMenu();
+
+    clientTelemetry.bindOptOutToggle(document.getElementById('telemetryOptOut'));
+    clientTelemetry.trackPageAccess();
+
+    console.log('📥 Document upload initialized');
+});
@@ -0,0 +1,192 @@
+/**
+ * Retrieval Model for GAIG PDF Website
+ *
+ * The semantic part of every query template is a { "retrieval_model": { "query": "{{query}}" } }
+ * placeholder, replaced with the retriever of the model chosen with RETRIEVAL_MODEL:
+ * - elser: sparse_vector query with ELSER (default)
+ * - semantic_text: semantic query on a semantic_text field, using the field's own inference endpoint
+ * - dense: knn retriever with any text_embedding inference endpoint (RETRIEVAL_INFERENCE_ID)
+ * - e5: knn retriever with the multilingual E5 endpoint
+ *
+ * The server checks at startup that the configured field and inference endpoint exist.
+ */
+
+// Retrieval models: how the query is run and which field types and inference tasks they need.
+// The sparse_vector query and knn can also search sparse_vector and dense_vector fields, but
+// results and answers need the semantic highlighter, which only works on semantic_text fields.
+const RETRIEVAL_MODELS = {
+  elser: {
+    query: 'sparse_vector',
+    inferenceId: '.elser-2-elasticsearch',
+    taskType: 'sparse_embedding',
+    fieldTypes: ['semantic_text']
+  },
+  semantic_text: {
+    query: 'semantic',
+    inferenceId: null,
+    taskType: null,
+    fieldTypes: ['semantic_text']
+  },
+  dense: {
+    query: 'knn',
+    inferenceId: null,
+    taskType: 'text_embedding',
+    fieldTypes: ['semantic_text']
+  },
+  e5: {
+    query: 'knn',
+    inferenceId: '.multilingual-e5-small-elasticsearch',
+    taskType: 'text_embedding',
+    fieldTypes: ['semantic_text']
+  }
+};
+
+const DEFAULT_FIELD = 'semantic_content';
+const DEFAULT_KNN_K = 50;
+const DEFAULT_KNN_NUM_CANDIDATES = 100;
+
+/**
+ * Read the retrieval model configuration
+ * @param {object} env - Environment variables
+ * @returns {object} { name, query, field, inferenceId, taskType, fieldTypes, k, numCandidates }
+ */
+function getRetrievalModel(env = process.env) {
+  const name = env.RETRIEVAL_MODEL || 'elser';
+  const model = RETRIEVAL_MODELS[name];
+  if (!model) {
+    throw new Error(`Unknown RETRIEVAL_MODEL "${name}" (expected ${Object.keys(RETRIEVAL_MODELS).join(', ')})`);
+  }
+
+  const inferenceId = env.RETRIEVAL_INFERENCE_ID || model.inferenceId;
+  if (model.query === 'knn' && !inferenceId) {
+    throw new Error(`RETRIEVAL_MODEL "${name}" needs RETRIEVAL_INFERENCE_ID`);
+  }
+
+  return {
+    name,
+    ...model,
+    field: env.RETRIEVAL_FIELD || DEFAULT_FIELD,
+    inferenceId,
+    k: parseInt(env.KNN_K) || DEFAULT_KNN_K,
+    numCandidates: parseInt(env.KNN_NUM_CANDIDATES) || DEFAULT_KNN_NUM_CANDIDATES
+  };
+}
+
+/**
+ * Build the retriever running a query with the retrieval model
+ * @param {string} query - Query text
+ * @param {object} model - Retrieval model from getRetrievalModel
+ * @param {number} minResults - Results the retriever must return, for knn's k
+ * @returns {object} Retriever
+ */
+function buildModelRetriever(query, model, minResults = 0) {
+  if (model.query === 'knn') {
+    const k = Math.max(model.k, minResults);
+    return {
+      knn: {
+        field: model.field,
+        query_vector_builder: {
+          text_embedding: { model_id: model.inferenceId, model_text: query }
+        },
+        k,
+        num_candidates: Math.max(model.numCandidates, k)
+      }
+    };
+  }
+
+  if (model.query === 'semantic') {
+    return { standard: { query: { semantic: { field: model.field, query } } } };
+  }
+
+  const sparseVector = { field: model.field, query };
+  if (model.inferenceId) sparseVector.inference_id = model.inferenceId;
+  return { standard: { query: { sparse_vector: sparseVector } } };
+}
+
+/**
+ * Replace retrieval_model placeholders, including those nested in an rrf retriever
+ * @param {object} retriever - Retriever from a query template
+ * @param {object} model - Retrieval model from getRetrievalModel
+ * @param {number} minResults - Results each retriever must return
+ * @returns {object} Retriever
+ */
+function resolveRetrievalModel(retriever, model, minResults = 0) {
+  if (retriever.retrieval_model) {
+    return buildModelRetriever(retriever.retrieval_model.query, model, minResults);
+  }
+
+  if (retriever.rrf) {
+    return {
+      rrf: {
+        ...retriever.rrf,
+        retrievers: retriever.rrf.retrievers.map(child => resolveRetrievalModel(child, model, minResults))
+      }
+    };
+  }
+
+  return retriever;
+}
+
+/**
+ * Check that the index has the model's field and that its inference endpoint exists
+ * @param {object} client - Elasticsearch client
+ * @param {string} indexName - Searched index or alias
+ * @param {object} model - Retrieval model from getRetrievalModel
+ * @returns {Promise<string[]>} Problems found; empty when the model is usable
+ */
+async function checkRetrievalModel(client, indexName, model) {
+  const problems = [];
+
+  const fieldMappings = await client.indices.getFieldMapping({ index: indexName, fields: model.field });
+  const fieldName = model.field.split('.').pop();
+  // An alias can cover several indices; every one of them needs the field
+  const indices = Object.entries(fieldMappings);
+  const mappings = indices.map(([index, { mappings }]) => ({ index, mapping: mappings[model.field]?.mapping[fieldName] }));
+
+  const missing = mappings.filter(({ mapping }) => !mapping).map(({ index }) => index);
+  if (indices.length === 0 || missing.length > 0) {
+    problems.push(`Field "${model.field}" not found in ${missing.join(', ') || indexName}`);
+    return problems;
+  }
+
+  mappings
+    .filter(({ mapping }) => !model.fieldTypes.includes(mapping.type))
+    .forEach(({ index, mapping }) => {
+      problems.push(`Field "${model.field}" in ${index} is ${mapping.type}, but RETRIEVAL_MODEL "${model.name}" needs ${model.fieldTypes.join(' or ')} (results are highlighted with the semantic highlighter)`);
+    });
+
+  // A semantic query uses the inference endpoint named in the semantic_text mapping, which
+  // leaves it out when the field uses the default endpoint
+  const inferenceIds = new Set(model.inferenceId ? [model.inferenceId] : []);
+  if (model.query === 'semantic') {
+    mappings.forEach(({ mapping }) => inferenceIds.add(mapping.search_inference_id || mapping.inference_id || '.elser-2-elasticsearch'));
+  }
+
+  for (const inferenceId of inferenceIds) {
+    try {
+      const { endpoints } = await client.inference.get({ inference_id: inferenceId });
+      const endpoint = endpoints.find(candidate => candidate.inference_id === inferenceId);
+      if (!endpoint) {
+        problems.push(`Inference endpoint "${inferenceId}" not found`);
+      } else if (model.taskType && endpoint.task_type !== model.taskType) {
+        problems.push(`Inference endpoint "${inferenceId}" is a ${endpoint.task_type} endpoint, but RETRIEVAL_MODEL "${model.name}" needs ${model.taskType}`);
+      }
+    } catch (error) {
+      if (error.meta?.statusCode === 404) {
+        problems.push(`Inference endpoint "${inferenceId}" not found`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  RETRIEVAL_MODELS,
+  getRetrievalModel,
+  buildModelRetriever,
+  resolveRetrievalModel,
+  checkRetrievalModel
+};
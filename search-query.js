@@ -0,0 +1,389 @@
+/**
+ * Search Query Builder for GAIG PDF Website
+ *
+ * Builds Elasticsearch search requests from the query templates in elasticsearch/:
+ * the configured retrieval model, facet, date and document access filters, facet
+ * aggregations, reciprocal rank fusion settings and point in time paging. Shared by the
+ * server and the offline evaluation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRetrievalModel, resolveRetrievalModel } = require('./retrieval-model');
+const { chunkKey } = require('./page-chunks');
+
+/**
+ * Load a query template: a search request body with {{query}} placeholders
+ * @param {string} templatePath - Path of the template file
+ * @returns {object} Parsed template
+ */
+function loadQueryTemplate(templatePath) {
+  return JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+}
+
+const mainQuery = loadQueryTemplate(path.join(__dirname, 'elasticsearch', 'main.query'));
+const hybridQuery = loadQueryTemplate(path.join(__dirname, 'elasticsearch', 'hybrid.query'));
+
+// Query templates selectable per request with the `retriever` parameter
+const queryTemplates = {
+  semantic: mainQuery,
+  hybrid: hybridQuery
+};
+const DEFAULT_RETRIEVER = process.env.RETRIEVER_MODE || 'semantic';
+
+// Model behind the templates' retrieval_model placeholders (RETRIEVAL_MODEL)
+const RETRIEVAL_MODEL = getRetrievalModel();
+
+// Reciprocal rank fusion defaults for the hybrid retriever
+const RRF_RANK_WINDOW_SIZE = parseInt(process.env.RRF_RANK_WINDOW_SIZE) || 50;
+const RRF_RANK_CONSTANT = parseInt(process.env.RRF_RANK_CONSTANT) || 60;
+// Bounds for client-supplied fusion parameters; every window position is scored by each retriever
+const MAX_RRF_RANK_WINDOW_SIZE = 500;
+const MAX_RRF_RANK_CONSTANT = 1000;
+
+// How long a search's point in time stays open between "load more" requests. The last page
+// closes it, so it only outlives searches whose later pages are never loaded.
+const PIT_KEEP_ALIVE = '5m';
+// Facet fields shown in the sidebar, with the label used for documents missing the field
+const FACET_FIELDS = {
+  author: { field: 'attachment.author.keyword', missing: 'Unknown Author' },
+  content_type: { field: 'attachment.content_type.keyword', missing: 'Unknown Type' },
+  creator_tool: { field: 'attachment.creator_tool.keyword', missing: 'Unknown Tool' }
+};
+const FACET_SIZE = 5;
+
+// Attachment date fields that searches can be restricted to, and the facet counting them
+const DATE_FIELDS = {
+  created: 'attachment.date',
+  modified: 'attachment.modified'
+};
+const DATE_FACET = 'date';
+
+// Dates accepted in filters: a year, a month or a day
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const FACET_NAMES = [...Object.keys(FACET_FIELDS), DATE_FACET];
+
+// Keyword field listing the groups allowed to see a document. Documents without it are
+// visible to everyone; documents with it only to users in one of the listed groups.
+const DOCUMENT_ACCESS_FIELD = process.env.DOCUMENT_ACCESS_FIELD || 'access_groups';
+
+// Adobe/Acrobat creator tools are shown collapsed to their first two words
+function isCollapsibleCreatorTool(value) {
+  return value.startsWith('Adobe') || value.includes('Acrobat');
+}
+
+function collapseCreatorTool(value) {
+  if (isCollapsibleCreatorTool(value)) {
+    const words = value.split(' ');
+    if (words.length >= 2) {
+      return words.slice(0, 2).join(' ');
+    }
+  }
+  return value;
+}
+
+// Build the filter clause matching any of the selected values of a facet
+function buildFacetFilter(facetName, values) {
+  const { field, missing } = FACET_FIELDS[facetName];
+  const should = [];
+
+  const exactValues = values.filter(value => value !== missing &&
+    !(facetName === 'creator_tool' && isCollapsibleCreatorTool(value)));
+  if (exactValues.length > 0) {
+    should.push({ terms: { [field]: exactValues } });
+  }
+
+  // Collapsed creator tools match every full value they were collapsed from
+  if (facetName === 'creator_tool') {
+    values
+      .filter(value => value !== missing && isCollapsibleCreatorTool(value))
+      .forEach(value => should.push({ prefix: { [field]: value } }));
+  }
+
+  // The "missing" bucket matches documents without the field
+  if (values.includes(missing)) {
+    should.push({ bool: { must_not: { exists: { field } } } });
+  }
+
+  return should.length === 1 ? should[0] : { bool: { should, minimum_should_match: 1 } };
+}
+
+// Build the range clause for a date filter ({ field: 'created' | 'modified', from, to })
+function buildDateFilter(dateFilter) {
+  if (!dateFilter || typeof dateFilter !== 'object') return null;
+
+  const isDate = value => typeof value === 'string' && DATE_PATTERN.test(value);
+  const range = {};
+  if (isDate(dateFilter.from)) range.gte = dateFilter.from;
+  if (isDate(dateFilter.to)) range.lte = dateFilter.to;
+
+  if (Object.keys(range).length === 0) return null;
+
+  return { range: { [DATE_FIELDS[dateFilter.field] || DATE_FIELDS.created]: range } };
+}
+
+// Whether the filters restrict the given facet
+function isFacetSelected(filters, facetName) {
+  if (facetName === DATE_FACET) {
+    return buildDateFilter(filters?.date) !== null;
+  }
+  return Array.isArray(filters?.[facetName]) && filters[facetName].length > 0;
+}
+
+// Build the filter clauses for the selected facet values, optionally leaving one facet out
+function buildFilterClauses(filters = {}, excludeFacet = null) {
+  const filterClauses = [];
+
+  if (!filters) return filterClauses;
+
+  Object.keys(FACET_FIELDS).forEach(facetName => {
+    if (facetName === excludeFacet) return;
+
+    const values = filters[facetName];
+    if (Array.isArray(values) && values.length > 0) {
+      filterClauses.push(buildFacetFilter(facetName, values));
+    }
+  });
+
+  const dateClause = buildDateFilter(filters.date);
+  if (dateClause && excludeFacet !== DATE_FACET) {
+    filterClauses.push(dateClause);
+  }
+
+  return filterClauses;
+}
+
+// Restrict results to documents the user is entitled to: unrestricted documents plus
+// those shared with one of the user's groups. Anonymous users only see unrestricted ones.
+function buildAccessFilter(user) {
+  const groups = Array.isArray(user?.groups) ? user.groups : [];
+  const should = [{ bool: { must_not: { exists: { field: DOCUMENT_ACCESS_FIELD } } } }];
+
+  if (groups.length > 0) {
+    should.push({ terms: { [DOCUMENT_ACCESS_FIELD]: groups } });
+  }
+
+  return { bool: { should, minimum_should_match: 1 } };
+}
+
+// Whether a search result is restricted to access groups
+function isRestrictedResult(result) {
+  const groups = result.source?.[DOCUMENT_ACCESS_FIELD];
+  return Array.isArray(groups) ? groups.length > 0 : Boolean(groups);
+}
+
+// Build aggregations for the given facets: terms for the metadata facets and a
+// yearly histogram over the chosen date field for the date facet
+function buildFacetAggs(facetNames, dateField = 'created') {
+  const aggs = {};
+
+  facetNames.forEach(facetName => {
+    if (facetName === DATE_FACET) {
+      aggs[`${DATE_FACET}_facet`] = {
+        date_histogram: {
+          field: DATE_FIELDS[dateField] || DATE_FIELDS.created,
+          calendar_interval: 'year',
+          format: 'yyyy',
+          min_doc_count: 1
+        }
+      };
+      return;
+    }
+
+    const { field, missing } = FACET_FIELDS[facetName];
+    aggs[`${facetName}_facet`] = {
+      terms: {
+        field,
+        size: FACET_SIZE,
+        order: { _count: "desc" },
+        missing
+      }
+    };
+  });
+
+  return aggs;
+}
+
+// Convert facet aggregation buckets into { value, count } lists for the frontend
+function formatFacets(aggregations) {
+  const facets = {};
+
+  Object.keys(FACET_FIELDS).forEach(facetName => {
+    const buckets = aggregations?.[`${facetName}_facet`]?.buckets;
+    if (!buckets) return;
+
+    const counts = new Map();
+    buckets
+      .filter(bucket => bucket.key && bucket.key.trim() !== '')
+      .forEach(bucket => {
+        // Process creator_tool to collapse Adobe/Acrobat entries to first two words
+        const value = facetName === 'creator_tool' ? collapseCreatorTool(bucket.key) : bucket.key;
+        counts.set(value, (counts.get(value) || 0) + bucket.doc_count);
+      });
+
+    facets[facetName] = Array.from(counts.entries())
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+  });
+
+  // Years newest first, each with the date range it covers
+  const dateBuckets = aggregations?.[`${DATE_FACET}_facet`]?.buckets;
+  if (dateBuckets) {
+    facets[DATE_FACET] = dateBuckets
+      .map(bucket => ({
+        value: bucket.key_as_string,
+        from: `${bucket.key_as_string}-01-01`,
+        to: `${bucket.key_as_string}-12-31`,
+        count: bucket.doc_count
+      }))
+      .reverse();
+  }
+
+  return facets;
+}
+
+// Add filter clauses to every standard and knn retriever, including those nested in an rrf retriever
+function applyFilters(retriever, filterClauses) {
+  // knn filters apply while searching the vectors, so k results still match the filters
+  if (retriever.knn) {
+    return {
+      knn: {
+        ...retriever.knn,
+        filter: [].concat(retriever.knn.filter || [], filterClauses)
+      }
+    };
+  }
+
+  if (retriever.standard) {
+    return {
+      standard: {
+        ...retriever.standard,
+        query: {
+          bool: {
+            must: retriever.standard.query,
+            filter: filterClauses
+          }
+        }
+      }
+    };
+  }
+
+  if (retriever.rrf) {
+    return {
+      rrf: {
+        ...retriever.rrf,
+        retrievers: retriever.rrf.retrievers.map(child => applyFilters(child, filterClauses))
+      }
+    };
+  }
+
+  return retriever;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Build a search request body from a query template, applying any facet filters.
+// Options: retriever ('semantic' or 'hybrid'), template (a loaded query template used instead
+// of the retriever's), rrf ({ rank_window_size, rank_constant }), size,
+// excludeFacet (leave that facet's filter out, for post-filter facet counts),
+// page ({ pit_id, search_after, from } to page through a point in time),
+// highlight (settings such as number_of_fragments applied to every highlighted field),
+// retrievalModel (a model from getRetrievalModel used instead of RETRIEVAL_MODEL),
+// ids (only search these document IDs), excludeIds (leave these document IDs out)
+function buildSearchQuery(query, filters = {}, options = {}) {
+  const { retriever = DEFAULT_RETRIEVER, size = 10, excludeFacet = null, page = null, user = null } = options;
+  const rrf = options.rrf || {};
+
+  const queryTemplate = JSON.stringify(options.template || (Object.hasOwn(queryTemplates, retriever) ? queryTemplates[retriever] : mainQuery));
+  const escapedQuery = JSON.stringify(query).slice(1, -1);
+  const searchQueryString = queryTemplate.split('{{query}}').join(escapedQuery);
+  const searchQuery = JSON.parse(searchQueryString);
+
+  // Fusion parameters; the rank window must cover the requested page of results
+  if (searchQuery.retriever.rrf) {
+    const rankWindowSize = parseInt(rrf.rank_window_size) || RRF_RANK_WINDOW_SIZE;
+    searchQuery.retriever.rrf.rank_window_size = clamp(Math.max(rankWindowSize, parseInt(size) || 0), 1, MAX_RRF_RANK_WINDOW_SIZE);
+    searchQuery.retriever.rrf.rank_constant = clamp(parseInt(rrf.rank_constant) || RRF_RANK_CONSTANT, 1, MAX_RRF_RANK_CONSTANT);
+  }
+
+  // A knn retriever must find enough neighbours to fill the rank window or the requested page
+  const minResults = searchQuery.retriever.rrf?.rank_window_size ||
+    (parseInt(size) || 0) + (parseInt(page?.from) || 0);
+  const retrievalModel = options.retrievalModel || RETRIEVAL_MODEL;
+  searchQuery.retriever = resolveRetrievalModel(searchQuery.retriever, retrievalModel, minResults);
+
+  // The templates name semantic_content; the semantic highlighter runs on the field the model searches
+  if (searchQuery.highlight?.fields) {
+    searchQuery.highlight.fields = Object.fromEntries(Object.entries(searchQuery.highlight.fields)
+      .map(([field, settings]) => [settings.type === 'semantic' ? retrievalModel.field : field, settings]));
+  }
+
+  // Highlight settings override the template's settings for every highlighted field
+  if (options.highlight && searchQuery.highlight?.fields) {
+    Object.values(searchQuery.highlight.fields).forEach(field => Object.assign(field, options.highlight));
+  }
+
+  // Add filters if provided; the document access filter is always applied
+  const filterClauses = [...buildFilterClauses(filters, excludeFacet), buildAccessFilter(user)];
+  if (options.ids) {
+    filterClauses.push({ ids: { values: options.ids } });
+  }
+  if (options.excludeIds) {
+    filterClauses.push({ bool: { must_not: { ids: { values: options.excludeIds } } } });
+  }
+  searchQuery.retriever = applyFilters(searchQuery.retriever, filterClauses);
+
+  // Page through a point in time so results keep a stable order. A standard retriever
+  // pages with search_after, rrf and knn retrievers with from inside their rank window.
+  if (page) {
+    searchQuery.pit = { id: page.pit_id, keep_alive: PIT_KEEP_ALIVE };
+
+    if (searchQuery.retriever.standard) {
+      searchQuery.retriever.standard.sort = [{ _score: 'desc' }, { _shard_doc: 'asc' }];
+    }
+    if (searchQuery.retriever.standard && page.search_after) {
+      searchQuery.retriever.standard.search_after = page.search_after;
+    } else {
+      searchQuery.from = parseInt(page.from) || 0;
+    }
+  }
+
+  return searchQuery;
+}
+
+// Convert an Elasticsearch hit into the result shape returned to the frontend.
+// Semantic highlights are always returned as highlight.semantic_content, whatever
+// RETRIEVAL_FIELD is. highlight_pages gives the page of each of them, or null when the
+// document was not chunked by page.
+function formatSearchHit(hit) {
+  const { chunk_pages: chunkPages, ...source } = hit._source || {};
+  const { [RETRIEVAL_MODEL.field]: semanticHighlights, ...otherHighlights } = hit.highlight || {};
+  const highlight = semanticHighlights ? { ...otherHighlights, semantic_content: semanticHighlights } : otherHighlights;
+
+  return {
+    id: hit._id,
+    score: hit._score,
+    source,
+    highlight,
+    highlight_pages: (highlight.semantic_content || []).map(fragment => chunkPages?.[chunkKey(fragment)] || null)
+  };
+}
+
+module.exports = {
+  queryTemplates,
+  DEFAULT_RETRIEVER,
+  RETRIEVAL_MODEL,
+  PIT_KEEP_ALIVE,
+  FACET_NAMES,
+  DATE_PATTERN,
+  loadQueryTemplate,
+  isFacetSelected,
+  buildAccessFilter,
+  isRestrictedResult,
+  buildFacetAggs,
+  formatFacets,
+  buildSearchQuery,
+  formatSearchHit
+};
@@ -0,0 +1,227 @@
+/**
+ * Spelling Correction for GAIG PDF Website
+ *
+ * Suggests a corrected query ("did you mean") for searches that found few or no results.
+ * Two sources are combined:
+ * - an insurance dictionary (SPELLING_DICTIONARY_FILE) with domain terms and their common
+ *   misspellings, for words that no document the user can see contains
+ * - the phrase suggester over the document text, for everything else
+ *
+ * A suggestion is only offered when it finds documents the user can see. The phrase
+ * suggester's candidates come from the whole index, so its collate query applies the
+ * document access filter; otherwise a correction could reveal words of restricted documents.
+ */
+
+const fs = require('fs');
+const { buildAccessFilter } = require('./search-query');
+const { normalizeQuery } = require('./click-ranking');
+
+const CONTENT_FIELD = 'attachment.content';
+
+// Words shorter than this are left alone: too many real words are one edit apart
+const MIN_WORD_LENGTH = 4;
+// Most words of a query looked up in the index, to keep the check cheap for long questions
+const MAX_CHECKED_WORDS = 10;
+
+class SpellingCorrector {
+  /**
+   * @param {object} client - Elasticsearch client
+   * @param {object} options - Spelling options
+   * @param {string} options.indexName - Document index
+   * @param {string[]} options.terms - Dictionary terms; multi-word terms count as their words
+   * @param {object} options.misspellings - Known misspellings mapped to their corrections
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.indexName = options.indexName;
+    this.misspellings = new Map(Object.entries(options.misspellings || {})
+      .map(([word, correction]) => [word.toLowerCase(), correction.toLowerCase()]));
+    this.terms = [...new Set((options.terms || [])
+      .flatMap(term => term.toLowerCase().split(/\s+/))
+      .filter(word => word.length >= MIN_WORD_LENGTH))];
+    this.termSet = new Set(this.terms);
+  }
+
+  /**
+   * Load a spelling corrector with a dictionary file
+   * @param {object} client - Elasticsearch client
+   * @param {string} indexName - Document index
+   * @param {string} filePath - Dictionary file; only the phrase suggester is used when empty
+   * @returns {SpellingCorrector} Spelling corrector
+   */
+  static load(client, indexName, filePath) {
+    if (!filePath) return new SpellingCorrector(client, { indexName });
+
+    const dictionary = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new SpellingCorrector(client, {
+      indexName,
+      terms: dictionary.terms,
+      misspellings: dictionary.misspellings
+    });
+  }
+
+  /**
+   * Corrected query for a search with few results. Never throws: a failed check only
+   * means no suggestion.
+   * @param {string} query - Query as typed
+   * @param {object} user - Signed-in user, for the document access filter
+   * @returns {Promise<object|null>} { text, source: 'dictionary' | 'index' }, or null without a correction
+   */
+  async suggest(query, user) {
+    try {
+      const accessFilter = buildAccessFilter(user);
+      const dictionaryText = await this.correctFromDictionary(query, accessFilter);
+
+      const response = await this.client.search({
+        index: this.indexName,
+        body: {
+          size: 0,
+          track_total_hits: 1,
+          // Whether the dictionary correction finds anything, in case the suggester has nothing to add
+          query: this.buildMatchQuery(dictionaryText, accessFilter),
+          suggest: {
+            text: dictionaryText,
+            did_you_mean: {
+              phrase: {
+                field: CONTENT_FIELD,
+                size: 1,
+                max_errors: 2,
+                direct_generator: [{
+                  field: CONTENT_FIELD,
+                  suggest_mode: 'missing',
+                  min_word_length: MIN_WORD_LENGTH
+                }],
+                collate: {
+                  query: { source: this.buildMatchQuery('{{suggestion}}', accessFilter) }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      const [option] = response.suggest?.did_you_mean?.[0]?.options || [];
+      const typed = normalizeQuery(query);
+
+      if (option && normalizeQuery(option.text) !== typed) {
+        return { text: option.text, source: 'index' };
+      }
+      if (normalizeQuery(dictionaryText) !== typed && response.hits.total.value > 0) {
+        return { text: dictionaryText, source: 'dictionary' };
+      }
+      return null;
+    } catch (error) {
+      console.error('Spelling correction error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace words that no visible document contains with the dictionary term they
+   * misspell. Dictionary terms and words found in the index are kept as typed.
+   * @param {string} query - Query as typed
+   * @param {object} accessFilter - Document access filter of the user
+   * @returns {Promise<string>} Query with corrections, or the query unchanged
+   */
+  async correctFromDictionary(query, accessFilter) {
+    if (this.terms.length === 0 && this.misspellings.size === 0) return query;
+
+    const words = [...new Set((query.toLowerCase().match(/[a-z]+/g) || [])
+      .filter(word => word.length >= MIN_WORD_LENGTH && !this.termSet.has(word)))]
+      .slice(0, MAX_CHECKED_WORDS);
+    if (words.length === 0) return query;
+
+    // One count per word, in a single request
+    const response = await this.client.search({
+      index: this.indexName,
+      body: {
+        size: 0,
+        query: { bool: { filter: [accessFilter] } },
+        aggs: {
+          words: {
+            filters: {
+              filters: Object.fromEntries(words.map(word => [word, { match: { [CONTENT_FIELD]: word } }]))
+            }
+          }
+        }
+      }
+    });
+
+    const buckets = response.aggregations.words.buckets;
+    const corrections = new Map();
+    words.forEach(word => {
+      if (buckets[word]?.doc_count > 0) return;
+
+      const correction = this.misspellings.get(word) || this.closestTerm(word);
+      if (correction) corrections.set(word, correction);
+    });
+
+    if (corrections.size === 0) return query;
+    return query.replace(/[A-Za-z]+/g, word => corrections.get(word.toLowerCase()) || word);
+  }
+
+  /**
+   * Dictionary term closest to a word: one edit away, or two for words of eight letters
+   * or more. Ties go to the term listed first.
+   * @param {string} word - Lowercased word
+   * @returns {string|null} Term, or null when none is close enough
+   */
+  closestTerm(word) {
+    const maxDistance = word.length >= 8 ? 2 : 1;
+    let closest = null;
+    let closestDistance = maxDistance + 1;
+
+    this.terms.forEach(term => {
+      if (Math.abs(term.length - word.length) > maxDistance) return;
+
+      const distance = SpellingCorrector.editDistance(word, term);
+      if (distance < closestDistance) {
+        closest = term;
+        closestDistance = distance;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Query for documents the user can see that contain every word of the text
+   * @param {string} text - Query text or the collate template's {{suggestion}}
+   * @param {object} accessFilter - Document access filter of the user
+   * @returns {object} Elasticsearch query
+   */
+  buildMatchQuery(text, accessFilter) {
+    return {
+      bool: {
+        must: [{ match: { [CONTENT_FIELD]: { query: text, operator: 'and' } } }],
+        filter: [accessFilter]
+      }
+    };
+  }
+
+  /**
+   * Edit distance where swapping two neighbouring letters counts as one edit
+   * (optimal string alignment distance)
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @returns {number} Number of edits
+   */
+  static editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+}
+
+module.exports = SpellingCorrector;
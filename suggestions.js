@@ -0,0 +1,228 @@
+/**
+ * Search Suggestions for GAIG PDF Website
+ *
+ * Suggests completions for a partly typed query by blending earlier searches that found
+ * results (from gaig-usage) with document titles and authors (from INDEX_NAME). Titles and
+ * authors are matched with a bool_prefix query rather than a completion suggester, because
+ * suggesters cannot apply the document access filter.
+ */
+
+const { buildAccessFilter } = require('./search-query');
+const { normalizeQuery } = require('./click-ranking');
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 200;
+
+// Candidates read from each source before blending and de-duplicating
+const QUERY_CANDIDATES = 50;
+const TITLE_CANDIDATES = 20;
+// Other users' queries checked against the user's documents, most used first
+const SHARED_QUERY_CHECKS = 10;
+
+class SuggestionService {
+  /**
+   * @param {object} client - Elasticsearch client
+   * @param {object} options - Suggestion options
+   * @param {string} options.indexName - Document index for titles and authors
+   * @param {string} options.usageIndex - Telemetry index with past queries
+   * @param {number} options.minUsers - Distinct users that must have run a query before others see it
+   * @param {number} options.queryDays - How far back past queries are read
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.indexName = options.indexName;
+    this.usageIndex = options.usageIndex || 'gaig-usage';
+    this.minUsers = options.minUsers || 5;
+    this.queryDays = options.queryDays || 90;
+  }
+
+  /**
+   * Suggestions for a partly typed query
+   * @param {string} prefix - Text typed so far
+   * @param {object} user - Signed-in user, for their own past queries and their access groups
+   * @param {number} size - Most suggestions to return
+   * @returns {Promise<object[]>} { text, type: 'query' | 'title' | 'author', ... }; past queries first
+   */
+  async suggest(prefix, user, size = 8) {
+    const text = (prefix || '').trim().slice(0, MAX_PREFIX_LENGTH);
+    if (text.length < MIN_PREFIX_LENGTH) return [];
+
+    // One source failing still leaves the other's suggestions
+    const [queries, titles] = await Promise.all([
+      this.suggestQueries(text, user).catch(error => {
+        console.error('Query suggestion error:', error.message);
+        return [];
+      }),
+      this.suggestTitles(text, user).catch(error => {
+        console.error('Title suggestion error:', error.message);
+        return [];
+      })
+    ]);
+
+    // Titles keep up to half of the slots, so past queries cannot crowd them out
+    const titleSlots = Math.min(titles.length, Math.floor(size / 2));
+    const suggestions = queries.slice(0, size - titleSlots);
+    const seen = new Set(suggestions.map(suggestion => normalizeQuery(suggestion.text)));
+    titles.forEach(suggestion => {
+      const key = normalizeQuery(suggestion.text);
+      if (suggestions.length < size && !seen.has(key)) {
+        seen.add(key);
+        suggestions.push(suggestion);
+      }
+    });
+
+    return suggestions;
+  }
+
+  /**
+   * Earlier searches that found results and start like the text. The user's own queries are
+   * always offered. Another user's query may name a claimant or the topic of a restricted
+   * document, so it is only offered once minUsers users have run it, and only if its words
+   * are found in documents this user can see.
+   * @param {string} text - Text typed so far
+   * @param {object} user - Signed-in user
+   * @returns {Promise<object[]>} { text, type: 'query', count, mine }, the user's own first, then most used
+   */
+  async suggestQueries(text, user) {
+    const userId = user?.sub || null;
+    const response = await this.client.search({
+      index: this.usageIndex,
+      body: {
+        size: 0,
+        query: {
+          bool: {
+            must: [{ match_bool_prefix: { query: { query: text, operator: 'and' } } }],
+            filter: [
+              { term: { event_type: 'query' } },
+              { exists: { field: 'query_id' } },
+              { range: { result_count: { gt: 0 } } },
+              { term: { error_occurred: false } },
+              { range: { timestamp: { gte: `now-${this.queryDays}d/d` } } }
+            ]
+          }
+        },
+        aggs: {
+          queries: {
+            terms: { field: 'query.keyword', size: QUERY_CANDIDATES },
+            aggs: {
+              users: { cardinality: { field: 'user_id' } },
+              ...(userId ? { mine: { filter: { term: { user_id: userId } } } } : {})
+            }
+          }
+        }
+      }
+    });
+
+    // Variants differing only in case or punctuation are one suggestion, shown as typed most often
+    const typed = normalizeQuery(text);
+    const grouped = new Map();
+    response.aggregations.queries.buckets.forEach(bucket => {
+      const key = normalizeQuery(bucket.key);
+      if (!key || key === typed) return;
+
+      // Users of different spellings may overlap, so the largest count is the safe lower bound
+      const group = grouped.get(key) || { text: bucket.key, type: 'query', count: 0, users: 0, mine: false };
+      group.count += bucket.doc_count;
+      group.users = Math.max(group.users, bucket.users.value);
+      group.mine = group.mine || (bucket.mine?.doc_count || 0) > 0;
+      grouped.set(key, group);
+    });
+
+    const byCount = (a, b) => b.count - a.count;
+    const groups = [...grouped.values()];
+    const mine = groups.filter(group => group.mine).sort(byCount);
+    const shared = await this.filterVisibleQueries(
+      groups.filter(group => !group.mine && group.users >= this.minUsers).sort(byCount).slice(0, SHARED_QUERY_CHECKS),
+      user
+    );
+
+    return [...mine, ...shared].map(({ users, ...suggestion }) => suggestion);
+  }
+
+  /**
+   * Keep the queries whose words all appear in a document the user can see
+   * @param {object[]} queries - { text, ... }
+   * @param {object} user - Signed-in user
+   * @returns {Promise<object[]>} The queries that passed, in the same order
+   */
+  async filterVisibleQueries(queries, user) {
+    if (queries.length === 0) return [];
+
+    const accessFilter = buildAccessFilter(user);
+    const { responses } = await this.client.msearch({
+      searches: queries.flatMap(query => [
+        { index: this.indexName },
+        {
+          size: 0,
+          track_total_hits: 1,
+          query: {
+            bool: {
+              must: [{
+                multi_match: {
+                  query: query.text,
+                  fields: ['attachment.title', 'attachment.content'],
+                  operator: 'and'
+                }
+              }],
+              filter: [accessFilter]
+            }
+          }
+        }
+      ])
+    });
+
+    // A failed check hides the query rather than risk showing it
+    return queries.filter((query, index) => !responses[index].error && responses[index].hits.total.value > 0);
+  }
+
+  /**
+   * Titles and authors of documents the user can see whose words start like the text
+   * @param {string} text - Text typed so far
+   * @param {object} user - Signed-in user
+   * @returns {Promise<object[]>} { text, type: 'title' | 'author', document_id }
+   */
+  async suggestTitles(text, user) {
+    const response = await this.client.search({
+      index: this.indexName,
+      body: {
+        size: TITLE_CANDIDATES,
+        _source: ['attachment.title', 'attachment.author'],
+        query: {
+          bool: {
+            must: [{
+              multi_match: {
+                query: text,
+                type: 'bool_prefix',
+                fields: ['attachment.title^2', 'attachment.author'],
+                operator: 'and'
+              }
+            }],
+            filter: [buildAccessFilter(user)]
+          }
+        }
+      }
+    });
+
+    const words = normalizeQuery(text).split(' ').filter(Boolean);
+    const startsLikeText = value => {
+      const valueWords = normalizeQuery(value).split(' ');
+      return words.every(word => valueWords.some(valueWord => valueWord.startsWith(word)));
+    };
+
+    const suggestions = [];
+    response.hits.hits.forEach(hit => {
+      const { title, author } = hit._source.attachment || {};
+      if (title && startsLikeText(title)) {
+        suggestions.push({ text: title, type: 'title', document_id: hit._id });
+      } else if (author && startsLikeText(author)) {
+        suggestions.push({ text: author, type: 'author', document_id: hit._id });
+      }
+    });
+
+    return suggestions;
+  }
+}
+
+SuggestionService.MIN_PREFIX_LENGTH = MIN_PREFIX_LENGTH;
+
+module.exports = SuggestionService;
@@ -4,16 +4,33 @@
  * Tracks user interactions and analytics:
  * - Page access/visits
  * - Search queries
- * - Document clicks
+ * - Answer generation (linked to its query by query_id)
+ * - Document clicks, from the search results or from a document's similar documents
+ * - Similar-document recommendations shown
  *
  * Follows privacy best practices:
  * - IP address hashing
  * - Session-based tracking
- * - Anonymized user IDs
+ * - Nothing is recorded for requests from users who opted out (x-telemetry-opt-out: 1)
+ * - Users are recorded by their sign-in subject only, never by name or email; the subject
+ *   is pseudonymous, and mapping it to a person needs the identity provider
  */
 
 const crypto = require('crypto');
 
+// Where a clicked document was listed: the search results, a Related Documents panel, or an
+// answer citation, whose position is in the answer's context rather than the results list
+const CLICK_SOURCES = ['results', 'similar', 'citation'];
+
+// Clicks on search results; similar-document and citation clicks have their own click_source and
+// must not count toward click-through rates. Clicks recorded before click_source existed are result clicks.
+const RESULT_CLICKS = {
+  bool: {
+    filter: [{ term: { event_type: 'click' } }],
+    must_not: [{ terms: { click_source: ['similar', 'citation'] } }]
+  }
+};
+
 class TelemetryService {
   constructor(elasticsearchClient, indexName = 'gaig-usage') {
     this.client = elasticsearchClient;
@@ -71,6 +88,15 @@ class TelemetryService {
     return { device_type, browser, os };
   }
 
+  /**
+   * Check whether the user opted out of usage analytics in the browser
+   * @param {object} req - Express request object
+   * @returns {boolean} True when no events should be recorded for this request
+   */
+  isOptedOut(req) {
+    return req.headers['x-telemetry-opt-out'] === '1';
+  }
+
   /**
    * Get common tracking data from request
    * @param {object} req - Express request object
@@ -81,17 +107,23 @@ class TelemetryService {
     const userAgent = req.headers['user-agent'] || 'unknown';
     const { device_type, browser, os } = this.parseUserAgent(userAgent);
 
+    // Prefer the signed-in principal; the x-user-id header is unverified
+    const user = req.user;
+
     return {
       timestamp: new Date().toISOString(),
       session_id: req.headers['x-session-id'] || 'unknown',
-      user_id: req.headers['x-user-id'] || 'anonymous',
+      user_id: user?.sub || req.headers['x-user-id'] || 'anonymous',
+      auth_provider: user?.provider || 'none',
       ip_hash: this.hashIP(ip),
       user_agent: userAgent,
       device_type,
       browser,
       os,
       referrer: req.headers['referer'] || req.headers['referrer'] || 'direct',
-      page_url: req.headers['x-page-url'] || req.originalUrl || req.url
+      page_url: req.headers['x-page-url'] || req.originalUrl || req.url,
+      experiment_id: req.experiment?.id || null,
+      variant: req.experiment?.variant || null
     };
   }
 
@@ -99,9 +131,10 @@ class TelemetryService {
    * Track a page access/visit
    * @param {object} req - Express request object
    * @param {object} data - Additional data (viewport, page_title, etc.)
+   * @returns {Promise<string|null>} ID of the access event
    */
   async trackAccess(req, data = {}) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.isOptedOut(req)) return null;
 
     try {
       const event = {
@@ -113,10 +146,39 @@ class TelemetryService {
         duration_ms: data.duration_ms
       };
 
-      await this.indexEvent(event);
+      const eventId = await this.indexEvent(event);
       console.log('📊 Access tracked:', event.session_id);
+      return eventId;
     } catch (error) {
       console.error('Telemetry error (access):', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record how long a page was open on its access event
+   * @param {object} req - Express request object
+   * @param {string} eventId - ID of the access event returned by trackAccess
+   * @param {number} durationMs - Time since the page was opened
+   */
+  async trackAccessDuration(req, eventId, durationMs) {
+    if (!this.enabled || this.isOptedOut(req)) return;
+
+    try {
+      // Only the session that reported the access may update it
+      await this.client.update({
+        index: this.indexName,
+        id: eventId,
+        script: {
+          source: "if (ctx._source.session_id == params.session_id) { ctx._source.duration_ms = params.duration_ms } else { ctx.op = 'noop' }",
+          params: {
+            session_id: this.getCommonData(req).session_id,
+            duration_ms: durationMs
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Telemetry error (access duration):', error.message);
     }
   }
 
@@ -126,21 +188,24 @@ class TelemetryService {
    * @param {object} data - Query data
    */
   async trackQuery(req, data = {}) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.isOptedOut(req)) return;
 
     try {
       const event = {
         event_type: 'query',
         ...this.getCommonData(req),
+        query_id: data.query_id,
         query: data.query,
         query_length: data.query ? data.query.length : 0,
         filters_applied: data.filters || {},
         result_count: data.result_count || 0,
         response_time_ms: data.response_time_ms,
         document_count_requested: data.document_count_requested,
-        answer_generated: data.answer_generated || false,
-        answer_length: data.answer_length,
-        llm_response_time_ms: data.llm_response_time_ms,
+        retriever_mode: data.retriever_mode,
+        click_boost: data.click_boost || false,
+        // "Did you mean" offered for this search, and the search whose suggestion this one accepted
+        spelling_suggestion: data.spelling_suggestion,
+        corrected_from_query_id: data.corrected_from_query_id,
         error_occurred: data.error_occurred || false,
         error_message: data.error_message
       };
@@ -152,18 +217,60 @@ class TelemetryService {
     }
   }
 
+  /**
+   * Track an answer generation, linked to the query event it answers
+   * @param {object} req - Express request object
+   * @param {object} data - Answer data
+   */
+  async trackAnswer(req, data = {}) {
+    if (!this.enabled || this.isOptedOut(req)) return;
+
+    try {
+      const event = {
+        event_type: 'answer',
+        ...this.getCommonData(req),
+        query_id: data.query_id,
+        query: data.query,
+        question: data.question,
+        conversation_turn: data.conversation_turn || 0,
+        retriever_mode: data.retriever_mode,
+        llm_provider: data.llm_provider,
+        context_document_count: data.context_document_count || 0,
+        answer_generated: data.answer_generated || false,
+        fallback_answer: data.fallback_answer || false,
+        answer_length: data.answer_length || 0,
+        citation_count: data.citation_count || 0,
+        time_to_first_token_ms: data.time_to_first_token_ms,
+        llm_response_time_ms: data.llm_response_time_ms,
+        groundedness_verdict: data.groundedness_verdict,
+        support_ratio: data.support_ratio,
+        unsupported_sentence_count: data.unsupported_sentence_count,
+        unknown_citation_count: data.unknown_citation_count,
+        error_occurred: data.error_occurred || false,
+        stream_error: data.stream_error || false,
+        error_message: data.error_message
+      };
+
+      await this.indexEvent(event);
+      console.log('📊 Answer tracked:', data.query_id || data.query);
+    } catch (error) {
+      console.error('Telemetry error (answer):', error.message);
+    }
+  }
+
   /**
    * Track a document click
    * @param {object} req - Express request object
    * @param {object} data - Click data
    */
   async trackClick(req, data = {}) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.isOptedOut(req)) return;
 
     try {
       const event = {
         event_type: 'click',
         ...this.getCommonData(req),
+        query_id: data.query_id,
         query: data.query,
         clicked_document_id: data.document_id,
         clicked_document_title: data.document_title,
@@ -171,27 +278,57 @@ class TelemetryService {
         clicked_document_author: data.document_author,
         clicked_position: data.position,
         clicked_score: data.score,
-        time_to_click_ms: data.time_to_click_ms
+        time_to_click_ms: data.time_to_click_ms,
+        click_source: CLICK_SOURCES.includes(data.click_source) ? data.click_source : 'results',
+        similar_to_document_id: data.click_source === 'similar' ? data.similar_to_document_id : undefined
       };
 
       await this.indexEvent(event);
-      console.log('📊 Click tracked:', data.document_id, 'at position', data.position);
+      console.log('📊 Click tracked:', data.document_id, 'at position', data.position, `(${event.click_source})`);
     } catch (error) {
       console.error('Telemetry error (click):', error.message);
     }
   }
 
+  /**
+   * Track the similar documents recommended for a document
+   * @param {object} req - Express request object
+   * @param {object} data - Recommendation data
+   */
+  async trackRecommendation(req, data = {}) {
+    if (!this.enabled || this.isOptedOut(req)) return;
+
+    try {
+      const event = {
+        event_type: 'recommendation',
+        ...this.getCommonData(req),
+        query_id: data.query_id,
+        similar_to_document_id: data.document_id,
+        result_count: data.result_count || 0,
+        response_time_ms: data.response_time_ms,
+        similarity_method: data.similarity_method
+      };
+
+      await this.indexEvent(event);
+      console.log('📊 Recommendation tracked:', data.document_id, `(${data.result_count} similar)`);
+    } catch (error) {
+      console.error('Telemetry error (recommendation):', error.message);
+    }
+  }
+
   /**
    * Index an event to Elasticsearch
    * @param {object} event - Event data to index
+   * @returns {Promise<string|undefined>} ID of the indexed event
    */
   async indexEvent(event) {
     try {
-      await this.client.index({
+      const response = await this.client.index({
         index: this.indexName,
         body: event,
         refresh: false // Don't wait for refresh to improve performance
       });
+      return response._id;
     } catch (error) {
       // If index doesn't exist, provide helpful error message
       if (error.meta?.body?.error?.type === 'index_not_found_exception') {
@@ -218,12 +355,13 @@ class TelemetryService {
 
   /**
    * Get telemetry statistics
-   * @param {object} options - Query options (date range, etc.)
+   * @param {object} options - Query options (date range, and experimentId to limit the
+   *   stats to one experiment and compare its variants against controlVariant)
    * @returns {object} Statistics
    */
   async getStats(options = {}) {
     try {
-      const { startDate, endDate } = options;
+      const { startDate, endDate, experimentId, controlVariant } = options;
       const query = {
         bool: {
           must: []
@@ -237,6 +375,10 @@ class TelemetryService {
         query.bool.must.push(rangeQuery);
       }
 
+      if (experimentId) {
+        query.bool.must.push({ term: { experiment_id: experimentId } });
+      }
+
       const response = await this.client.search({
         index: this.indexName,
         body: {
@@ -261,17 +403,32 @@ class TelemetryService {
             top_queries: {
               terms: { field: 'query.keyword', size: 10 }
             },
+            click_sources: {
+              filter: { term: { event_type: 'click' } },
+              aggs: {
+                sources: {
+                  terms: { field: 'click_source', missing: 'results' }
+                }
+              }
+            },
+            spelling_suggestions: {
+              filter: { exists: { field: 'spelling_suggestion' } }
+            },
+            spelling_accepted: {
+              filter: { exists: { field: 'corrected_from_query_id' } }
+            },
             events_over_time: {
               date_histogram: {
                 field: 'timestamp',
                 calendar_interval: 'day'
               }
-            }
+            },
+            ...(experimentId ? { variants: this.buildVariantAggs() } : {})
           }
         }
       });
 
-      return {
+      const stats = {
         total_events: response.hits.total.value,
         unique_sessions: response.aggregations.unique_sessions.value,
         unique_users: response.aggregations.unique_users.value,
@@ -279,14 +436,129 @@ class TelemetryService {
         devices: response.aggregations.devices.buckets,
         browsers: response.aggregations.browsers.buckets,
         top_queries: response.aggregations.top_queries.buckets,
+        click_sources: response.aggregations.click_sources.sources.buckets,
+        spelling_suggestions: {
+          shown: response.aggregations.spelling_suggestions.doc_count,
+          accepted: response.aggregations.spelling_accepted.doc_count
+        },
         events_over_time: response.aggregations.events_over_time.buckets
       };
+
+      if (experimentId) {
+        stats.experiment_id = experimentId;
+        stats.variants = this.compareVariants(response.aggregations.variants.buckets, controlVariant);
+      }
+
+      return stats;
     } catch (error) {
       console.error('Error getting telemetry stats:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Aggregations for the per-variant metrics of an experiment
+   * @returns {object} Terms aggregation on variant
+   */
+  buildVariantAggs() {
+    return {
+      terms: { field: 'variant', size: 20 },
+      aggs: {
+        sessions: {
+          cardinality: { field: 'session_id' }
+        },
+        // First-page searches only; later pages have no query_id
+        searches: {
+          filter: {
+            bool: {
+              filter: [
+                { term: { event_type: 'query' } },
+                { exists: { field: 'query_id' } },
+                { term: { error_occurred: false } }
+              ]
+            }
+          },
+          aggs: {
+            zero_results: {
+              filter: { term: { result_count: 0 } }
+            }
+          }
+        },
+        clicks: {
+          filter: RESULT_CLICKS,
+          aggs: {
+            clicked_searches: {
+              cardinality: { field: 'query_id' }
+            }
+          }
+        },
+        answers: {
+          filter: { term: { event_type: 'answer' } },
+          aggs: {
+            generated: {
+              filter: { term: { answer_generated: true } }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Turn variant buckets into rates, each compared with the control variant
+   * @param {object[]} buckets - Buckets of buildVariantAggs
+   * @param {string} controlVariant - Variant the others are compared with
+   * @returns {object[]} Per-variant metrics
+   */
+  compareVariants(buckets, controlVariant) {
+    const rate = (count, total) => total > 0 ? count / total : null;
+
+    const variants = buckets.map(bucket => {
+      const searches = bucket.searches.doc_count;
+      const answers = bucket.answers.doc_count;
+      return {
+        variant: bucket.key,
+        sessions: bucket.sessions.value,
+        searches,
+        clicks: bucket.clicks.doc_count,
+        answers,
+        // Share of searches with at least one result click
+        ctr: rate(Math.min(bucket.clicks.clicked_searches.value, searches), searches),
+        zero_result_rate: rate(bucket.searches.zero_results.doc_count, searches),
+        answer_rate: rate(bucket.answers.generated.doc_count, answers)
+      };
+    });
+
+    const control = variants.find(variant => variant.variant === controlVariant);
+    if (!control) return variants;
+
+    // Two-proportion z-test against the control; |z| > 1.96 is significant at 95%
+    const compare = (variant, metric, totalField) => {
+      const p1 = control[metric];
+      const p2 = variant[metric];
+      const n1 = control[totalField];
+      const n2 = variant[totalField];
+      if (p1 === null || p2 === null) return null;
+
+      const pooled = (p1 * n1 + p2 * n2) / (n1 + n2);
+      const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+      return {
+        difference: p2 - p1,
+        z_score: standardError > 0 ? (p2 - p1) / standardError : null
+      };
+    };
+
+    return variants.map(variant => variant === control ? { ...variant, control: true } : {
+      ...variant,
+      control: false,
+      vs_control: {
+        ctr: compare(variant, 'ctr', 'searches'),
+        zero_result_rate: compare(variant, 'zero_result_rate', 'searches'),
+        answer_rate: compare(variant, 'answer_rate', 'answers')
+      }
+    });
+  }
+
   /**
    * Enable or disable telemetry
    * @param {boolean} enabled - Whether to enable telemetry
@@ -298,3 +570,4 @@ class TelemetryService {
 }
 
 module.exports = TelemetryService;
+module.exports.RESULT_CLICKS = RESULT_CLICKS;